@@ -1,25 +1,36 @@
-import Admin from "./models/Admin.js";
+// createAdmin.js
+// Creates the first owner account. Further admins are invited by an owner
+// through POST /api/admin/admins/invite.
+// Usage: ADMIN_EMAIL=you@example.com ADMIN_PASSWORD=secret node createAdmin.js
 import mongoose from "mongoose";
 import dotenv from "dotenv";
+import Admin from "./models/Admin.js";
+
 dotenv.config();
 
+const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+  console.error("❌ Set ADMIN_EMAIL and ADMIN_PASSWORD");
+  process.exit(1);
+}
 
 mongoose
-  .connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+  .connect(process.env.MONGO_URI)
   .then(async () => {
-    console.log("MongoDB connected");
-  });
+    console.log("✅ MongoDB connected");
 
+    if (await Admin.exists({ role: "owner" })) {
+      console.log("ℹ️ An owner already exists; invite other admins from the admin panel");
+      process.exit();
+    }
 
-const createAdmin = async () => {
-  const existingAdmin = await Admin.findOne({ email: "admin@example.com" });
-  if (!existingAdmin) {
-    const admin = new Admin({
-      email: "rajadvitiya72@gmail.com",
-      password: "Ansh112003",
-    });
+    const admin = new Admin({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD, role: "owner" });
     await admin.save();
-    console.log("✅ Admin created!");
-  }
-};
-createAdmin();
+    console.log(`✅ Owner ${admin.email} created!`);
+    process.exit();
+  })
+  .catch((err) => {
+    console.error("❌ DB Error:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+// migrateBookingPackages.js
+// One-off: bookings used to store the package as free text. Link them to the
+// Package document with the same name and snapshot it as it is today.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Package from "./models/package.js";
+import Booking from "./models/booking.js";
+import { buildPackageSnapshot, pickTier } from "./utils/pricing.js";
+
+dotenv.config();
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log("✅ MongoDB connected");
+
+    // Raw collection: legacy string values don't cast to the ObjectId schema type
+    const legacy = await Booking.collection.find({ package: { $type: "string" } }).toArray();
+    let linked = 0;
+
+    for (const doc of legacy) {
+      const pkg = await Package.findOne({ name: doc.package.trim() });
+      if (!pkg) {
+        console.warn(`⚠️ No package named "${doc.package}" for booking ${doc._id}`);
+        continue;
+      }
+
+      const tier = pkg.pricingType === "perPerson" ? pickTier(pkg.perPersonPricing, doc.guests) : null;
+      await Booking.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            package: pkg._id,
+            packageSnapshot: buildPackageSnapshot(pkg, tier ? { peopleCount: tier.peopleCount, price: tier.price } : null),
+          },
+        }
+      );
+      linked++;
+    }
+
+    console.log(`🎉 Linked ${linked} of ${legacy.length} legacy bookings`);
+    process.exit();
+  })
+  .catch((err) => console.error("❌ DB Error:", err));
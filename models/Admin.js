@@ -1,6 +1,12 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// ✅ Roles, most to least powerful:
+//  - owner: everything, including packages, slots, settings and other admin accounts
+//  - manager: bookings, payments and the waitlist
+//  - staff: read-only calendar and gallery
+export const ADMIN_ROLES = ["owner", "manager", "staff"];
+
 const adminSchema = new mongoose.Schema(
   {
     email: {
@@ -10,26 +16,70 @@ const adminSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    name: { type: String, trim: true },
+    // Not set until an invited admin accepts their invitation
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.inviteTokenHash;
+      },
       minlength: 6,
     },
+    role: { type: String, enum: ADMIN_ROLES, default: "staff" },
+    isActive: { type: Boolean, default: true },
+    deactivatedAt: { type: Date },
+
+    // ✅ Invitations (only the token's hash is stored)
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    inviteTokenHash: { type: String },
+    inviteExpiresAt: { type: Date },
+    inviteAcceptedAt: { type: Date },
+
+    lastLoginAt: { type: Date },
+
+    // ✅ Sessions & lockout: bumping sessionVersion invalidates every access token already issued
+    sessionVersion: { type: Number, default: 0 },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+
+    // ✅ Password reset (only the token's hash is stored)
+    resetTokenHash: { type: String },
+    resetExpiresAt: { type: Date },
+
+    // ✅ Calendar feed subscription (only the token's hash is stored; replaced or removed to revoke)
+    calendarTokenHash: { type: String },
+    calendarTokenCreatedAt: { type: Date },
   },
   { timestamps: true }
 );
 
+adminSchema.index({ inviteTokenHash: 1 }, { unique: true, partialFilterExpression: { inviteTokenHash: { $type: "string" } } });
+adminSchema.index({ resetTokenHash: 1 }, { unique: true, partialFilterExpression: { resetTokenHash: { $type: "string" } } });
+adminSchema.index({ calendarTokenHash: 1 }, { unique: true, partialFilterExpression: { calendarTokenHash: { $type: "string" } } });
+
 // Hash password before saving
 adminSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
+  if (!this.isModified("password") || !this.password) return next();
   this.password = await bcrypt.hash(this.password, 10);
   next();
 });
 
 // Compare entered password with hashed one
 adminSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-const Admin = mongoose.model("Admin", adminSchema);
+// Never send hashes to clients
+adminSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.inviteTokenHash;
+    delete ret.resetTokenHash;
+    delete ret.calendarTokenHash;
+    return ret;
+  },
+});
+
+const Admin = mongoose.models.Admin || mongoose.model("Admin", adminSchema);
 export default Admin;
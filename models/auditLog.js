@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// ✅ Append-only record of admin actions: who did what to which record, with a field-level before/after diff
+const changeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true }, // dotted field path, e.g. "perPersonPricing.0.price"
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    actorEmail: { type: String },
+    action: { type: String, required: true }, // e.g. "booking.approve", "package.update"
+    entity: {
+      type: String,
+      enum: [
+        "Booking",
+        "Package",
+        "Slot",
+        "Contact",
+        "GalleryImage",
+        "Admin",
+        "WaitlistEntry",
+        "ReconciliationReport",
+        "Notification",
+        "JobSchedule",
+      ],
+      required: true,
+    },
+    entityId: { type: mongoose.Schema.Types.ObjectId },
+    changes: [changeSchema],
+    meta: { type: mongoose.Schema.Types.Mixed }, // extra context, e.g. override reason, refund totals
+    ip: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited or removed once written
+function refuseChange(next) {
+  next(new Error("Audit log entries are append-only"));
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit log entries are append-only"));
+  next();
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => auditLogSchema.pre(op, refuseChange));
+
+const AuditLog = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
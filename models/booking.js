@@ -1,37 +1,160 @@
 import mongoose from "mongoose";
 
+const installmentSchema = new mongoose.Schema({
+  kind: { type: String, enum: ["advance", "balance", "full"], required: true },
+  amount: { type: Number, required: true }, // paise
+  dueDate: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "paid", "failed", "expired", "cancelled"],
+    default: "pending",
+  },
+  provider: { type: String, enum: ["razorpay", "stripe"] },
+  paymentLinkId: { type: String, trim: true }, // Razorpay payment link / Stripe Checkout session ID
+  paymentLinkUrl: { type: String, trim: true },
+  paymentId: { type: String, trim: true },
+  paidAt: { type: Date },
+});
+
 const bookingSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, trim: true },
     phone: { type: String, required: true, trim: true },
-    package: { type: String, required: true, trim: true },
+    locale: { type: String, enum: ["en", "hi"], default: "en" }, // language for emails
+    package: { type: mongoose.Schema.Types.ObjectId, ref: "Package", required: true },
+    // ✅ Package as it was when the booking was made (editing the package never changes it)
+    packageSnapshot: {
+      type: new mongoose.Schema(
+        {
+          name: String,
+          category: String,
+          description: String,
+          pricingType: String,
+          fixedPrice: Number,
+          perPersonPricing: [{ peopleCount: Number, price: Number, _id: false }],
+          tier: { peopleCount: Number, price: Number }, // tier picked for the guest count
+          included: [String],
+          excluded: [String],
+          menu: {
+            welcomeSweets: [String],
+            starters: [String],
+            mainCourse: [String],
+          },
+          terms: [String],
+          nonRefundablePercent: Number,
+          capturedAt: Date,
+        },
+        { _id: false }
+      ),
+      immutable: true,
+    },
     guests: { type: Number, required: true, min: 1 },
     date: { type: Date, required: true },
     time: { type: String, required: true },
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" }, // empty = whole day
+    // "YYYY-MM-DD|<slotId>" while the booking holds its slot, unset once released
+    slotKey: { type: String },
     specialRequests: { type: String, trim: true },
 
     // ✅ Booking status
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      enum: ["pending", "approved", "rejected", "cancelled", "expired", "completed"],
       default: "pending",
     },
 
+    // ✅ Tentative hold: released (status "expired") if no admin action / payment by then
+    holdExpiresAt: { type: Date },
+
     // ✅ Payment tracking
     isPaid: { type: Boolean, default: false },
     paymentStatus: {
       type: String,
-      enum: ["unpaid", "paid", "failed", "refunded"],
+      enum: ["unpaid", "partially_paid", "paid", "failed", "refunded"],
       default: "unpaid",
     },
-    paymentId: { type: String, trim: true }, // Razorpay payment ID
-    orderId: { type: String, trim: true },   // Razorpay order/payment link ID
+    paymentProvider: { type: String, enum: ["razorpay", "stripe"], default: "razorpay" },
+    paymentId: { type: String, trim: true }, // Razorpay payment ID / Stripe PaymentIntent ID
+    orderId: { type: String, trim: true },   // Payment link / Checkout session ID of the first installment
     amount: { type: Number, default: 0 },    // Store amount in paise
+    amountPaid: { type: Number, default: 0 }, // paise, sum of paid installments
+
+    // ✅ Payment schedule: advance deposit, then balance due before the event
+    installments: [installmentSchema],
+
+    // ✅ Server-side quote (rupees) and any admin override applied at approval
+    quote: {
+      total: { type: Number },
+      tier: { peopleCount: Number, price: Number },
+      items: [{ label: String, amount: Number, _id: false }],
+      manualPricingRequired: { type: Boolean },
+      computedAt: { type: Date },
+    },
+    pricingOverride: {
+      quotedAmount: { type: Number }, // null when the package needed manual pricing
+      amount: { type: Number },
+      reason: { type: String, trim: true },
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      overriddenAt: { type: Date },
+    },
+
+    // ✅ Cancellation & refunds (amounts in paise)
+    cancellation: {
+      reason: { type: String, trim: true },
+      cancelledBy: { type: String, enum: ["admin", "customer"] },
+      adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      nonRefundablePercent: { type: Number },
+      nonRefundableAmount: { type: Number },
+      refundableAmount: { type: Number },
+      refundedAmount: { type: Number },
+    },
+    refunds: [
+      {
+        refundId: { type: String, trim: true }, // Razorpay / Stripe refund ID
+        provider: { type: String, enum: ["razorpay", "stripe"] },
+        paymentId: { type: String, trim: true },
+        amount: { type: Number },
+        status: { type: String, trim: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // ✅ Payments that arrived after the booking or installment was closed (e.g. the hold expired);
+    // not counted towards amountPaid, for an admin to refund
+    latePayments: [
+      {
+        paymentId: { type: String, trim: true },
+        provider: { type: String, enum: ["razorpay", "stripe"] },
+        installmentId: { type: mongoose.Schema.Types.ObjectId },
+        amount: { type: Number }, // paise
+        reason: { type: String, trim: true },
+        receivedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // ✅ Previous dates of a rescheduled booking
+    rescheduleHistory: [
+      {
+        fromDate: { type: Date },
+        fromSlot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" },
+        toDate: { type: Date },
+        toSlot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" },
+        previousAmount: { type: Number }, // paise
+        newAmount: { type: Number },
+        reason: { type: String, trim: true },
+        rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+        rescheduledAt: { type: Date, default: Date.now },
+      },
+    ],
 
     // ✅ Admin activity log
     approvedAt: { type: Date },
     rejectedAt: { type: Date },
+    cancelledAt: { type: Date },
+    expiredAt: { type: Date },
+    completedAt: { type: Date },
+    rejectionReason: { type: String, trim: true },
     paidAt: { type: Date },
   },
   { timestamps: true }
@@ -42,6 +165,9 @@ bookingSchema.pre("save", function (next) {
   if (this.isModified("status")) {
     if (this.status === "approved") this.approvedAt = new Date();
     if (this.status === "rejected") this.rejectedAt = new Date();
+    if (this.status === "cancelled") this.cancelledAt = new Date();
+    if (this.status === "expired") this.expiredAt = new Date();
+    if (this.status === "completed") this.completedAt = new Date();
   }
   if (this.isModified("paymentStatus") && this.paymentStatus === "paid") {
     this.paidAt = new Date();
@@ -57,10 +183,24 @@ bookingSchema.index({
   eventType: "text",
 });
 
-// ✅ Prevent duplicate bookings (same user, same date & time)
+// ✅ Hold expiry job lookups
+bookingSchema.index({ holdExpiresAt: 1 }, { partialFilterExpression: { holdExpiresAt: { $exists: true } } });
+
+// ✅ Analytics: confirmed bookings by event date, enquiries by creation date
+bookingSchema.index({ status: 1, date: 1 });
+bookingSchema.index({ createdAt: 1 });
+
+// ✅ One active booking per date & slot
+bookingSchema.index(
+  { slotKey: 1 },
+  { unique: true, partialFilterExpression: { slotKey: { $type: "string" } } }
+);
+
+// ✅ Prevent duplicate bookings (same user, same date & time) while they hold the date;
+// rejected, cancelled, expired and completed bookings don't stop the customer booking it again
 bookingSchema.index(
   { email: 1, date: 1, time: 1 },
-  { unique: true }
+  { unique: true, partialFilterExpression: { slotKey: { $type: "string" } } }
 );
 
 export default mongoose.model("Booking", bookingSchema);
@@ -16,6 +16,13 @@ const contactSchema = new mongoose.Schema(
       facebook: { type: String, trim: true },
       instagram: { type: String, trim: true },
     },
+
+    // Seller details printed on GST invoices and receipts
+    businessName: { type: String, trim: true }, // legal name, e.g. "The Heritage Marriage Hall"
+    email: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true, match: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/ },
+    state: { type: String, trim: true }, // place of supply, e.g. "Uttar Pradesh"
+    stateCode: { type: String, trim: true }, // GST state code, e.g. "09"
   },
   { timestamps: true }
 );
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// ✅ Named sequences, e.g. "invoice|2026-27" → last invoice number issued that financial year
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+/**
+ * Atomically take the next number of a sequence (starting at 1).
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  return counter.seq;
+};
+
+const Counter = mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+export default Counter;
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// ✅ One-time code + magic link issued to a customer for the self-service portal
+const customerLoginSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, trim: true, lowercase: true },
+    codeHash: { type: String, required: true },      // sha256 of the 6-digit code
+    linkTokenHash: { type: String, required: true }, // sha256 of the magic link token
+    attempts: { type: Number, default: 0 },
+    consumedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+customerLoginSchema.index({ email: 1, createdAt: -1 });
+customerLoginSchema.index({ linkTokenHash: 1 });
+// ✅ MongoDB removes expired challenges
+customerLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CustomerLogin = mongoose.models.CustomerLogin || mongoose.model("CustomerLogin", customerLoginSchema);
+export default CustomerLogin;
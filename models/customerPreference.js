@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// ✅ A customer's notification channels, keyed by phone (E.164). Email is always on;
+// SMS / WhatsApp follow the customer's choice and stop for good after an opt-out (e.g. replying STOP)
+const channelSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    optedOutAt: { type: Date },
+    updatedAt: { type: Date },
+    source: { type: String }, // "booking" | "portal" | "keyword"
+  },
+  { _id: false }
+);
+
+const customerPreferenceSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true },
+    email: { type: String, trim: true, lowercase: true },
+    locale: { type: String, enum: ["en", "hi"], default: "en" },
+    sms: { type: channelSchema, default: () => ({}) },
+    whatsapp: { type: channelSchema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+customerPreferenceSchema.index({ email: 1 });
+
+const CustomerPreference =
+  mongoose.models.CustomerPreference || mongoose.model("CustomerPreference", customerPreferenceSchema);
+export default CustomerPreference;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// ✅ An issued GST tax invoice (one per fully paid booking) or payment receipt (one per payment).
+// Everything printed is stored at issue time, so a re-download always matches the original document
+export const INVOICE_TYPES = ["invoice", "receipt"];
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    address: String,
+    phone: String,
+    email: String,
+    gstin: String,
+    state: String,
+    stateCode: String,
+  },
+  { _id: false }
+);
+
+// Amounts in paise; `amount` includes GST, split into taxable value + CGST + SGST
+const lineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    sac: String,
+    amount: { type: Number, required: true },
+    taxable: { type: Number, required: true },
+    cgst: { type: Number, required: true },
+    sgst: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: INVOICE_TYPES, required: true },
+    // Set once the document's slot is claimed (see utils/invoices/index.js issueDocument)
+    number: { type: String }, // e.g. "INV/2026-27/0007"
+    financialYear: { type: String }, // "2026-27" (April–March)
+    sequence: { type: Number },
+    issuedAt: { type: Date, required: true },
+    claimedAt: { type: Date }, // when numbering started; a claim left unnumbered is taken over later
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true },
+    paymentId: { type: String }, // receipts: the provider payment the receipt is for
+    installment: { type: mongoose.Schema.Types.ObjectId },
+
+    seller: partySchema,
+    customer: partySchema,
+    eventDate: Date,
+    packageName: String,
+    guests: Number,
+
+    taxRate: { type: Number, required: true }, // GST %, split equally into CGST and SGST
+    lines: [lineSchema],
+    taxable: { type: Number, required: true },
+    cgst: { type: Number, required: true },
+    sgst: { type: Number, required: true },
+    total: { type: Number, required: true },
+
+    // Invoices: payments received against the booking
+    payments: [
+      {
+        paidAt: Date,
+        description: String,
+        paymentId: String,
+        amount: Number,
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// ✅ One receipt per payment, one invoice per booking
+invoiceSchema.index(
+  { type: 1, paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: "receipt" } }
+);
+invoiceSchema.index(
+  { type: 1, booking: 1 },
+  { unique: true, partialFilterExpression: { type: "invoice" } }
+);
+invoiceSchema.index(
+  { number: 1 },
+  { unique: true, name: "number_issued", partialFilterExpression: { number: { $type: "string" } } }
+);
+invoiceSchema.index({ financialYear: 1, type: 1, sequence: 1 });
+
+const Invoice = mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
+export default Invoice;
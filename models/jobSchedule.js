@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// ✅ Admin settings for one kind of scheduled job (see utils/scheduler.js for the kinds and their defaults)
+export const JOB_KINDS = ["balanceReminder", "eventReminder", "thankYou"];
+
+const jobScheduleSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: JOB_KINDS, required: true, unique: true },
+    enabled: { type: Boolean, default: true },
+    // Days before the due date / event (reminders) or after the event (thank-you); one job per value
+    days: { type: [{ type: Number, min: 0, max: 60 }], default: undefined },
+    // Local time of day the job runs, "HH:mm"
+    sendAt: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+const JobSchedule = mongoose.models.JobSchedule || mongoose.model("JobSchedule", jobScheduleSchema);
+export default JobSchedule;
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// ✅ One document per failed admin login, used for the per-IP lockout window
+const loginFailureSchema = new mongoose.Schema(
+  {
+    ip: { type: String, required: true },
+    email: { type: String, trim: true, lowercase: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loginFailureSchema.index({ ip: 1, createdAt: -1 });
+// ✅ MongoDB removes failures once they fall out of the window
+loginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginFailure = mongoose.models.LoginFailure || mongoose.model("LoginFailure", loginFailureSchema);
+export default LoginFailure;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// ✅ Outbox: every email / SMS / WhatsApp message is stored here (already rendered) and delivered by the
+// notification worker, so a provider outage never loses a message or fails the request that triggered it
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true },
+    contentType: { type: String },
+    content: { type: Buffer, required: true },
+  },
+  { _id: false }
+);
+
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: ["email", "sms", "whatsapp"], default: "email" },
+    template: { type: String, required: true }, // see utils/notifications/templates.js, utils/messaging/templates.js
+    locale: { type: String, default: "en" },
+    to: { type: [String], required: true }, // email addresses, or one E.164 phone for sms / whatsapp
+    subject: {
+      type: String,
+      required: function () {
+        return this.channel === "email";
+      },
+    },
+    html: {
+      type: String,
+      required: function () {
+        return this.channel === "email";
+      },
+    },
+    text: { type: String },
+    variables: [String], // message template values, for approved WhatsApp templates
+    attachments: [attachmentSchema],
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+
+    status: {
+      type: String,
+      // failed = gave up after maxAttempts; skipped = customer opted out of the channel before delivery
+      enum: ["pending", "sending", "sent", "failed", "skipped"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date }, // while "sending"; a crashed worker's claim lapses after this
+    lastError: { type: String },
+    transport: { type: String }, // mail transport or messaging provider that delivered it
+    providerMessageId: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ booking: 1, createdAt: -1 });
+
+const Notification = mongoose.models.Notification || mongoose.model("Notification", notificationSchema);
+export default Notification;
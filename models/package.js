@@ -34,9 +34,15 @@ const packageSchema = new mongoose.Schema(
     },
 
     terms: [{ type: String }],
+    // % of the booking amount kept on cancellation; when unset it's read from `terms`
+    nonRefundablePercent: { type: Number, min: 0, max: 100 },
 
     images: [{ type: String }],
 
+    // ✅ Archived packages stay readable for existing bookings but can't be booked
+    isArchived: { type: Boolean, default: false },
+    archivedAt: { type: Date },
+
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
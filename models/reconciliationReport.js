@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// ✅ Result of one payment reconciliation run (scheduled or admin-triggered)
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: { type: String, enum: ["schedule", "admin"], required: true },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    bookingsChecked: { type: Number, default: 0 },
+    installmentsChecked: { type: Number, default: 0 },
+    discrepancies: [
+      {
+        booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+        installmentId: { type: mongoose.Schema.Types.ObjectId },
+        provider: { type: String },
+        paymentLinkId: { type: String },
+        localStatus: { type: String },
+        providerStatus: { type: String },
+        amountExpected: { type: Number }, // paise, when the amount paid doesn't match
+        amountPaid: { type: Number },
+        action: { type: String, enum: ["fixed", "reported", "error"] },
+        error: { type: String },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const ReconciliationReport =
+  mongoose.models.ReconciliationReport || mongoose.model("ReconciliationReport", reconciliationReportSchema);
+export default ReconciliationReport;
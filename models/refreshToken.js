@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// ✅ Admin refresh token (only its hash is stored). Each use rotates it: the old token is revoked and
+// points at its replacement; tokens from one login share a `family` so a reused (stolen) token revokes the chain.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String }, // "rotated" | "logout" | "reuse" | "password" | "deactivated"
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+    createdByIp: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ admin: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// ✅ MongoDB removes expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
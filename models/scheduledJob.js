@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { JOB_KINDS } from "./jobSchedule.js";
+
+// ✅ One planned run of a scheduled job for a booking (e.g. "balance reminder 3 days before the due date").
+// Jobs live in MongoDB so a restart never loses or repeats one; the scheduler claims due jobs like the outbox does
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: JOB_KINDS, required: true },
+    // "<kind>|<booking>|<installment>|<target day>|<days>": a job is planned once per target, so
+    // changing the schedule moves it but never sends it twice; a new date or due date plans a new one
+    key: { type: String, required: true, unique: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true },
+    installment: { type: mongoose.Schema.Types.ObjectId }, // balance reminders
+    days: { type: Number, required: true },
+    runAt: { type: Date, required: true },
+
+    status: {
+      type: String,
+      // skipped = no longer applies when it ran (e.g. balance already paid); cancelled = unplanned before it ran
+      enum: ["scheduled", "running", "done", "skipped", "cancelled", "failed"],
+      default: "scheduled",
+    },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date }, // while "running"; a crashed worker's claim lapses after this
+    lastError: { type: String },
+    result: { type: String }, // why it was skipped or cancelled
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ booking: 1, status: 1 });
+
+const ScheduledJob = mongoose.models.ScheduledJob || mongoose.model("ScheduledJob", scheduledJobSchema);
+export default ScheduledJob;
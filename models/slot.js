@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slotSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true }, // e.g. "Day Program"
+    startTime: { type: String, required: true, match: TIME_PATTERN }, // "HH:mm" (24h)
+    endTime: { type: String, required: true, match: TIME_PATTERN },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// ✅ A slot must end after it starts (no slots crossing midnight)
+slotSchema.pre("validate", function (next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate("endTime", "endTime must be later than startTime");
+  }
+  next();
+});
+
+const Slot = mongoose.models.Slot || mongoose.model("Slot", slotSchema);
+export default Slot;
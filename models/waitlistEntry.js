@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// ✅ Customer waiting for a fully booked date (optionally a specific slot)
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    phone: { type: String, required: true, trim: true },
+    locale: { type: String, enum: ["en", "hi"], default: "en" }, // language for emails
+    package: { type: mongoose.Schema.Types.ObjectId, ref: "Package", required: true },
+    guests: { type: Number, required: true, min: 1 },
+    date: { type: Date, required: true },
+    slot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" }, // empty = any slot that frees up
+
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "removed"],
+      default: "waiting",
+    },
+    // sha256 of the token given when joining: views or leaves the entry for as long as it exists
+    tokenHash: { type: String, required: true, unique: true },
+
+    // ✅ Time-limited offer once the date frees up
+    offeredSlot: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" },
+    offeredAt: { type: Date },
+    offerExpiresAt: { type: Date },
+    // sha256 of the offer email's token, new for each offer: claims the date (and, like tokenHash, views the entry)
+    offerTokenHash: { type: String, index: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }, // set once claimed
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+
+const WaitlistEntry = mongoose.models.WaitlistEntry || mongoose.model("WaitlistEntry", waitlistEntrySchema);
+export default WaitlistEntry;
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// ✅ Log of received payment webhooks, keyed by the provider's event id so retried deliveries are applied once
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["razorpay", "stripe"], required: true },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true }, // e.g. "payment.captured", "checkout.session.completed"
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+    },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", webhookEventSchema);
+export default WebhookEvent;
@@ -5,6 +5,10 @@ require("dotenv").config();
 const hallContact = {
   phone: "8960306353",
   location: "Sanjarpur To Saraimir Mainroad, Sanjar Pur, Azamgarh",
+  businessName: "The Heritage Marriage Hall",
+  state: "Uttar Pradesh",
+  stateCode: "09",
+  // gstin: "09XXXXXXXXXXXXX", // required for valid tax invoices
   socialMedia: {
     facebook: "https://www.facebook.com/people/The-Heritage-Marriage-Hall-Hotel/61551881138942/?_rdr",
     instagram: "https://www.instagram.com/heritage.sanjarpur/",
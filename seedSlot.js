@@ -0,0 +1,27 @@
+// seedSlot.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Slot from "./models/slot.js";
+
+dotenv.config();
+
+// Program timings sold in the packages (see seedPackage.js terms)
+const slots = [
+  { name: "Day Program", startTime: "11:00", endTime: "16:00" },
+  { name: "Night Program", startTime: "19:00", endTime: "23:00" },
+];
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log("✅ MongoDB connected");
+
+    // Upsert by name so existing bookings keep their slot references
+    for (const slot of slots) {
+      await Slot.findOneAndUpdate({ name: slot.name }, slot, { upsert: true, new: true });
+    }
+
+    console.log("🎉 Slots seeded successfully!");
+    process.exit();
+  })
+  .catch((err) => console.error("❌ DB Error:", err));
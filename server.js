@@ -1,13 +1,8 @@
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
-import jwt from "jsonwebtoken";
-import bcrypt from "bcryptjs";
-import nodemailer from "nodemailer";
 import mongoose from "mongoose";
-import Razorpay from "razorpay";
 import fs from "fs";
-import crypto from "crypto"; // ✅ for verifying Razorpay signature
 import { Server } from "socket.io"; // ✅ Socket.IO
 import Booking from "./models/booking.js";
 import Package from "./models/package.js";
@@ -15,13 +10,141 @@ import Contact from "./models/contact.js";
 import multer from "multer";
 import { v2 as cloudinary } from "cloudinary";
 import GalleryImage from "./models/galleryImage.js";
-import sgMail from "@sendgrid/mail";
-// import Admin from "./models/Admin.js";
+import Slot from "./models/slot.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  normalizeDateString,
+  dayRange,
+  buildSlotKey,
+  resolveSlot,
+  findSlotConflict,
+  getAvailability,
+} from "./utils/availability.js";
+import {
+  computeQuote,
+  findPackage,
+  quoteForBooking,
+  buildPackageSnapshot,
+  QuoteError,
+} from "./utils/pricing.js";
+import { buildSchedule, syncPaymentStatus, rebalanceSchedule, INSTALLMENT_LABELS } from "./utils/paymentSchedule.js";
+import { computeRefund } from "./utils/refunds.js";
+import {
+  getPaymentProvider,
+  applyPaymentEvent,
+  cancelPaymentLinks,
+  PAYMENT_PROVIDERS,
+} from "./utils/paymentProviders/index.js";
+import WebhookEvent from "./models/webhookEvent.js";
+import ReconciliationReport from "./models/reconciliationReport.js";
+import { reconcilePayments } from "./utils/reconciliation.js";
+import { afterPaymentEvent } from "./utils/paymentFollowUp.js";
+import { releaseExpiredHolds, holdExpiry } from "./utils/holds.js";
+import { buildBookingFilter, buildBookingPaging } from "./utils/bookingQuery.js";
+import { completePastBookings } from "./utils/archive.js";
+import { recordAudit, auditSnapshot } from "./utils/audit.js";
+import AuditLog from "./models/auditLog.js";
+import WaitlistEntry from "./models/waitlistEntry.js";
+import {
+  generateWaitlistToken,
+  findEntryByToken,
+  findEntryByOfferToken,
+  findActiveOffer,
+  offerNextInLine,
+  expireWaitlistOffers,
+} from "./utils/waitlist.js";
+import {
+  emailMatcher,
+  loginRequestsExhausted,
+  createLoginChallenge,
+  verifyLoginCode,
+  consumeMagicLink,
+  signCustomerToken,
+  verifyCustomer,
+} from "./utils/customerAuth.js";
+import {
+  saveWithNotifications,
+  queueNotifications,
+  deliverPendingNotifications,
+  retryNotification,
+} from "./utils/notifications/outbox.js";
+import { escapeHtml } from "./utils/notifications/templates.js";
+import Notification from "./models/notification.js";
+import JobSchedule from "./models/jobSchedule.js";
+import Invoice, { INVOICE_TYPES } from "./models/invoice.js";
+import {
+  bookingDocuments,
+  documentFilename,
+  renderInvoicePdf,
+} from "./utils/invoices/index.js";
+import { bookingsFeed, bookingCalendar, calendarAttachments } from "./utils/calendar.js";
+import {
+  AnalyticsError,
+  parseDateRange,
+  revenueReport,
+  occupancyReport,
+  packageReport,
+  funnelReport,
+} from "./utils/analytics.js";
+import {
+  SpreadsheetError,
+  SPREADSHEET_FORMATS,
+  importSettings,
+  writeSpreadsheet,
+  readSpreadsheet,
+  spreadsheetFilename,
+} from "./utils/spreadsheets/index.js";
+import { BOOKING_COLUMNS, BOOKING_IMPORT_COLUMNS, bookingRows, importBookings } from "./utils/spreadsheets/bookings.js";
+import { PACKAGE_COLUMNS, packageRows, importPackages } from "./utils/spreadsheets/packages.js";
+import ScheduledJob from "./models/scheduledJob.js";
+import { JOB_KINDS, getSchedules, syncBookingJobs, syncAllJobs, runDueJobs } from "./utils/scheduler.js";
+import { getMessagingProvider, messagingConfigured } from "./utils/messaging/index.js";
+import {
+  bookingPreferences,
+  updatePreferences,
+  applyInboundKeyword,
+  customerNotifications,
+} from "./utils/messaging/preferences.js";
+import CustomerPreference from "./models/customerPreference.js";
+import { normalizePhone } from "./utils/messaging/phone.js";
+import Admin, { ADMIN_ROLES } from "./models/Admin.js";
+import {
+  verifyAdmin,
+  requireRole,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  generateInviteToken,
+  hashInviteToken,
+  inviteHours,
+  generateResetToken,
+  findAdminByResetToken,
+  resetMinutes,
+  generateCalendarToken,
+  findAdminByCalendarToken,
+} from "./utils/adminAuth.js";
+import {
+  ipLockedForMinutes,
+  accountLockedForMinutes,
+  recordFailedLogin,
+  clearFailedLogins,
+} from "./utils/loginLockout.js";
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+// Behind a proxy/load balancer set TRUST_PROXY (e.g. 1) so req.ip — used for login lockout — is the client's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+// Keep the raw request bytes for webhook signature checks
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+app.use(express.json({ verify: captureRawBody }));
 app.use(cors());
 
 // 🔒 No-cache middleware
@@ -41,125 +164,236 @@ mongoose
   .then(async () => {
     console.log("✅ MongoDB connected");
 
-    // Attempt to create a unique index on `date` to prevent duplicates (best-effort).
-    // If your schema stores date as string "YYYY-MM-DD", this index will enforce uniqueness.
-    // If it stores Date objects, the index still helps when exact Date objects are used.
+    // Bookings used to be unique per `date`; with day/night slots two bookings can share a date.
+    // Drop that legacy index (best-effort) — Booking.slotKey now carries the uniqueness.
     try {
-      await Booking.collection.createIndex(
-        { date: 1 },
-        {
-          unique: true,
-          partialFilterExpression: { date: { $exists: true } },
-        }
-      );
-      console.log("✅ Ensured unique index on Booking.date (best-effort)");
+      await Booking.collection.dropIndex("date_1");
+      console.log("✅ Dropped legacy unique index on Booking.date");
+    } catch (err) {
+      if (err?.codeName !== "IndexNotFound") {
+        console.warn("⚠️ Could not drop legacy index on Booking.date.", err.message);
+      }
+    }
+
+    // Invoice numbers used to be required and unique on every document; documents are now claimed
+    // before they're numbered, so the unique index only covers numbered ones ("number_issued")
+    try {
+      await Invoice.collection.dropIndex("number_1");
+      await Invoice.createIndexes();
+      console.log("✅ Dropped legacy unique index on Invoice.number");
+    } catch (err) {
+      if (!["IndexNotFound", "NamespaceNotFound"].includes(err?.codeName)) {
+        console.warn("⚠️ Could not drop legacy index on Invoice.number.", err.message);
+      }
+    }
+
+    // The email + date + time index used to cover every booking, so a rejected or expired request
+    // blocked the customer from asking for the same date again; rebuild it for active bookings only
+    try {
+      const indexes = await Booking.collection.indexes();
+      const legacy = indexes.find((i) => i.name === "email_1_date_1_time_1" && !i.partialFilterExpression);
+      if (legacy) {
+        await Booking.collection.dropIndex(legacy.name);
+        await Booking.createIndexes();
+        console.log("✅ Rebuilt Booking email/date/time index for active bookings only");
+      }
     } catch (err) {
-      console.warn("⚠️ Could not create unique index on Booking.date (existing duplicates?).", err.message);
+      if (err?.codeName !== "NamespaceNotFound") {
+        console.warn("⚠️ Could not rebuild Booking email/date/time index.", err.message);
+      }
     }
+
+    // Admins created before roles existed had full access; keep them as owners
+    const promoted = await Admin.updateMany({ role: { $exists: false } }, { $set: { role: "owner", isActive: true } });
+    if (promoted.modifiedCount > 0) console.log(`✅ ${promoted.modifiedCount} existing admin(s) set to owner`);
   })
   .catch((err) => console.error("❌ MongoDB error:", err));
 
-// --- Razorpay Setup ---
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-// --- Email Setup ---
-// const transporter = nodemailer.createTransport({
-//   host: process.env.EMAIL_HOST,
-//   port: Number(process.env.EMAIL_PORT),
-//   secure: false,
-//   auth: {
-//     user: process.env.GMAIL_USER,
-//     pass: process.env.GMAIL_PASS,
-//   },
-// });
-
-// transporter.verify((err, success) => {
-//   if (err) console.error("Mailer error:", err);
-//   else console.log("✅ Mailer is ready to send emails");
-// });
-
-// --- Middleware: Verify Admin Token ---
-function verifyAdmin(req, res, next) {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(403).json({ message: "No token provided" });
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: "Unauthorized" });
-    req.admin = decoded;
-    next();
+// --- Payments Setup ---
+// Razorpay (default) or Stripe, chosen per booking — see utils/paymentProviders
+
+// Helper: create a payment link / checkout session for one installment with the booking's provider
+async function createInstallmentPaymentLink(booking, installment) {
+  const provider = getPaymentProvider(booking.paymentProvider);
+  const link = await provider.createPaymentLink({
+    booking,
+    installment,
+    description: `${INSTALLMENT_LABELS.en[installment.kind]} for booking ${booking._id}`,
   });
+  installment.provider = provider.name;
+  installment.paymentLinkId = link.id;
+  installment.paymentLinkUrl = link.url;
+  return link;
+}
+
+// --- Email ---
+// Templated English/Hindi emails through MAIL_TRANSPORT (sendgrid | smtp | file | console) — see utils/notifications.
+// Emails are queued in the notification outbox together with the change they announce and delivered by a worker.
+// Lifecycle messages also go out by SMS / WhatsApp (MESSAGING_PROVIDER; none are sent while it is unset) on the channels the customer enabled
+
+// --- Scheduled Reminders ---
+// Balance reminders, the event-eve reminder and the post-event thank-you are planned per booking
+// as ScheduledJob documents (utils/scheduler.js) and run by the job worker at the bottom of this file
+
+// Helper: re-plan a booking's reminders after it changes; a scheduling error never fails the request
+function planReminders(booking) {
+  return syncBookingJobs(booking).catch((err) => console.error(`Failed planning reminders for ${booking._id}:`, err));
+}
+
+// --- Admin Roles ---
+// verifyAdmin (utils/adminAuth.js) checks the account is active; these gate routes by role
+const ownerOnly = requireRole("owner");
+const bookingManagers = requireRole("owner", "manager");
+
+// Helper: a query parameter used as a filter value must be a single string (not ?status[$ne]=x,
+// which would reach Mongo as an operator) and, for enum fields, one of the schema's values
+function invalidFilterValue(value, allowed) {
+  return typeof value !== "string" || (allowed !== undefined && !allowed.includes(value));
 }
 
 // --- Admin Login ---
+// Returns a short-lived access token and a refresh token. Repeated failures lock the account
+// and, separately, the client IP (see utils/loginLockout.js)
 app.post("/api/admin/login", async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const admin = await Admin.findOne({ email });
-    if (!admin) return res.status(401).json({ message: "Invalid credentials" });
+    const ipMinutes = await ipLockedForMinutes(req.ip);
+    if (ipMinutes) {
+      return res.status(429).json({ message: `Too many failed logins. Try again in ${ipMinutes} minute(s).` });
+    }
 
-    const isMatch = await bcrypt.compare(password, admin.password);
-    if (!isMatch) return res.status(401).json({ message: "Invalid credentials" });
+    const admin = email ? await Admin.findOne({ email }) : null;
+    const accountMinutes = accountLockedForMinutes(admin);
+    if (accountMinutes) {
+      return res.status(429).json({
+        message: `Account locked after too many failed logins. Try again in ${accountMinutes} minute(s) or reset your password.`,
+      });
+    }
 
-    const token = jwt.sign({ id: admin._id, email: admin.email }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    const isMatch = admin ? await admin.matchPassword(password) : false;
+    if (!isMatch) {
+      await recordFailedLogin({ ip: req.ip, email, admin });
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    if (!admin.isActive) return res.status(403).json({ message: "This account has been deactivated" });
+
+    clearFailedLogins(admin);
+    admin.lastLoginAt = new Date();
+    await admin.save();
 
-    res.json({ token });
+    res.json(await issueSession(admin, req));
   } catch (err) {
     console.error("Admin login error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-/**
- * Helper: normalizeDateString
- * Accepts:
- *  - a "YYYY-MM-DD" string
- *  - a Date-like string
- *  - a Date object
- * Returns "YYYY-MM-DD" (local date)
- */
-function normalizeDateString(d) {
-  if (!d) return null;
+// --- Refresh Admin Session ---
+// Body: { refreshToken } — single use: returns a new access token and a new refresh token
+app.post("/api/admin/token/refresh", async (req, res) => {
   try {
-    // If it's already 'YYYY-MM-DD'
-    if (typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+    const session = await rotateSession(req.body.refreshToken, req);
+    if (!session) return res.status(401).json({ message: "Invalid or expired refresh token" });
+    res.json(session);
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    const dt = new Date(d);
-    if (Number.isNaN(dt.getTime())) return null;
+// --- Admin Logout ---
+// Body: { refreshToken, allDevices? } — revokes this session, or every session of the admin
+app.post("/api/admin/logout", async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    const adminId = await revokeSession(refreshToken);
+
+    if (adminId && allDevices) {
+      const admin = await Admin.findById(adminId);
+      if (admin) {
+        await revokeAllSessions(admin, "logout");
+        await admin.save();
+      }
+    }
 
-    // Build local YYYY-MM-DD
-    const yyyy = dt.getFullYear();
-    const mm = String(dt.getMonth() + 1).padStart(2, "0");
-    const dd = String(dt.getDate()).padStart(2, "0");
-    return `${yyyy}-${mm}-${dd}`;
-  } catch {
-    return null;
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
   }
-}
+});
+
+// --- Forgot Password ---
+// Body: { email } — emails a time-limited reset link. Always answers the same so emails can't be probed
+app.post("/api/admin/password/forgot", async (req, res) => {
+  const response = { message: "If that email belongs to an admin, a reset link has been sent" };
+
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const admin = await Admin.findOne({ email });
+    if (!admin || !admin.isActive || !admin.password) return res.json(response);
+
+    const { token, tokenHash } = generateResetToken();
+    admin.resetTokenHash = tokenHash;
+    admin.resetExpiresAt = new Date(Date.now() + resetMinutes() * 60 * 1000);
+    await saveWithNotifications(admin, [
+      {
+        template: "adminPasswordReset",
+        to: admin.email,
+        data: {
+          name: admin.name,
+          resetUrl: `${process.env.FRONTEND_URL}/admin/reset-password?token=${token}`,
+          expiresInMinutes: resetMinutes(),
+        },
+      },
+    ]);
+
+    res.json(response);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Reset Password ---
+// Body: { token, password } — unlocks the account and signs it out everywhere
+app.post("/api/admin/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ message: "Token and password are required" });
+
+    const admin = await findAdminByResetToken(token);
+    if (!admin || !admin.isActive) return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    admin.password = password;
+    admin.resetTokenHash = undefined;
+    admin.resetExpiresAt = undefined;
+    clearFailedLogins(admin);
+    await revokeAllSessions(admin, "password");
+    await admin.save();
+
+    res.json({ message: "Password reset. Please log in with your new password." });
+  } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
 /**
  * Public GET /api/bookings
- * Returns bookedDates: array of "YYYY-MM-DD" for all current & future bookings
+ * Returns the slot calendar for today onwards:
+ *  - slots: active slots (e.g. Day Program, Night Program)
+ *  - availability: { "YYYY-MM-DD": { bookedSlots, freeSlots } } for dates with bookings
+ *  - bookedDates: array of "YYYY-MM-DD" with no free slot left
  */
 app.get("/api/bookings", async (req, res) => {
   try {
-    const today = new Date();
-    // Fetch bookings with date >= start of today
-    // We'll return an array of normalized date strings (YYYY-MM-DD)
-    const allBookings = await Booking.find({});
-    const bookedDates = allBookings
-      .map((b) => normalizeDateString(b.date))
-      .filter(Boolean)
-      .sort();
-
-    res.json({ bookedDates });
+    const calendar = await getAvailability();
+    res.json(calendar);
   } catch (error) {
     console.error("Error fetching public booked dates:", error);
     res.status(500).json({ message: "Error fetching booked dates", error });
@@ -167,239 +401,1768 @@ app.get("/api/bookings", async (req, res) => {
 });
 
 // --- Create Booking (Public) ---
-// Prevent double-booking on the same date (returns 409 if already booked)
+// Prevent double-booking the same date & slot (returns 409 if already booked)
+
+// What the booking form may set; status, amounts, payments and holds are the server's
+// (date, time, slot and package are checked and set separately)
+const PUBLIC_BOOKING_FIELDS = ["name", "email", "phone", "guests", "specialRequests", "locale"];
+
 app.post("/api/bookings", async (req, res) => {
   try {
-    const { date } = req.body;
+    const { date, slot: slotValue } = req.body;
     const normalized = normalizeDateString(date);
 
-    if (!normalized) {
-      return res.status(400).json({ message: "Invalid or missing date (expected YYYY-MM-DD or valid date)" });
+    if (!normalized) {
+      return res.status(400).json({ message: "Invalid or missing date (expected YYYY-MM-DD or valid date)" });
+    }
+
+    // Once slots are configured every booking must pick one; otherwise it takes the whole day
+    let slot = null;
+    const hasSlots = await Slot.exists({ isActive: true });
+    if (hasSlots) {
+      if (!slotValue) return res.status(400).json({ message: "Slot is required" });
+      slot = await resolveSlot(slotValue);
+      if (!slot) return res.status(400).json({ message: "Invalid slot" });
+    }
+
+    // Free up holds on this date that ran out since the last expiry job run
+    notifyHoldsReleased(await releaseExpiredHolds({ date: normalized }), req.app.get("io"));
+
+    const existing = await findSlotConflict({ date: normalized, slotId: slot?._id });
+    if (existing) {
+      return res.status(409).json({
+        message: slot ? `${slot.name} on selected date is already booked` : "Selected date is already booked",
+      });
+    }
+
+    // A freed date offered to a waitlisted customer is kept for them until the offer runs out
+    const offer = await findActiveOffer({ date: normalized, slotId: slot?._id });
+    const claimingEntry = req.body.waitlistToken ? await findEntryByOfferToken(req.body.waitlistToken) : null;
+    if (offer && !offer._id.equals(claimingEntry?._id)) {
+      return res.status(409).json({
+        message: "Selected date is reserved for a waitlisted customer",
+        reservedUntil: offer.offerExpiresAt,
+      });
+    }
+
+    // Link the package and snapshot it (and its price) as it is right now
+    const pkg = await findPackage(req.body.package);
+    if (!pkg || pkg.isArchived) return res.status(400).json({ message: "Invalid package" });
+    const quote = computeQuote({ pkg, guests: req.body.guests, date: normalized, slot });
+
+    // Create & save booking
+    const booking = new Booking({
+      ...Object.fromEntries(PUBLIC_BOOKING_FIELDS.filter((key) => key in req.body).map((key) => [key, req.body[key]])),
+      package: pkg._id,
+      packageSnapshot: buildPackageSnapshot(pkg, quote.tier),
+      quote: {
+        total: quote.total,
+        tier: quote.tier,
+        items: quote.items,
+        manualPricingRequired: quote.manualPricingRequired,
+        computedAt: new Date(),
+      },
+      date: normalized,
+      slot: slot?._id,
+      time: req.body.time || (slot ? `${slot.startTime}-${slot.endTime}` : undefined),
+      slotKey: buildSlotKey(normalized, slot?._id),
+      holdExpiresAt: holdExpiry("pending"),
+    });
+
+    if (offer) {
+      offer.status = "claimed";
+      offer.booking = booking._id;
+    }
+
+    // Channels the customer picked on the form ({ sms, whatsapp }), saved only with the booking;
+    // acknowledge them and notify the admins
+    const preference = await bookingPreferences({
+      phone: booking.phone,
+      email: booking.email,
+      locale: booking.locale,
+      channels: req.body.channels,
+    });
+    const admins = await Admin.find({ role: { $in: ["owner", "manager"] }, isActive: true, password: { $exists: true } });
+    await saveWithNotifications(
+      [booking, offer, preference],
+      [
+        ...(await customerNotifications("bookingReceived", booking, { booking, slot }, { preference })),
+        { template: "newBookingRequest", to: admins.map((a) => a.email), data: { booking, slot }, booking: booking._id },
+      ]
+    );
+
+    // Return updated calendar to the client
+    const { bookedDates, availability } = await getAvailability();
+
+    res.status(201).json({ message: "Booking request submitted", booking, bookedDates, availability });
+  } catch (error) {
+    // If the slot index rejects the insert (concurrent request), send 409
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: "Selected date is already booked (duplicate key)" });
+    }
+    if (error instanceof QuoteError) return res.status(error.status).json({ message: error.message });
+
+    console.error("Booking save error:", error);
+    res.status(500).json({ message: "Error saving booking", error });
+  }
+});
+
+// --- Get Slots (Public) ---
+app.get("/api/slots", async (req, res) => {
+  try {
+    const slots = await Slot.find({ isActive: true }).sort({ startTime: 1 });
+    res.json(slots);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching slots", error });
+  }
+});
+
+// Helper: reject a slot whose time range overlaps another active slot
+async function findOverlappingSlot({ startTime, endTime, excludeId }) {
+  const query = { isActive: true, startTime: { $lt: endTime }, endTime: { $gt: startTime } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Slot.findOne(query);
+}
+
+// --- Create Slot (Admin only) ---
+app.post("/api/admin/slots", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const { name, startTime, endTime, isActive } = req.body;
+    const slot = new Slot({ name, startTime, endTime, isActive });
+    await slot.validate();
+
+    if (slot.isActive) {
+      const overlap = await findOverlappingSlot({ startTime, endTime });
+      if (overlap) return res.status(409).json({ message: `Slot overlaps with ${overlap.name}` });
+    }
+
+    await slot.save();
+    await recordAudit(req, { action: "slot.create", entity: "Slot", entityId: slot._id, after: slot });
+    res.status(201).json({ message: "Slot created", slot });
+  } catch (error) {
+    if (error?.name === "ValidationError") return res.status(400).json({ message: error.message });
+    if (error?.code === 11000) return res.status(409).json({ message: "Slot name already exists" });
+    console.error("Create slot error:", error);
+    res.status(500).json({ message: "Error creating slot", error });
+  }
+});
+
+// --- Update Slot (Admin only) ---
+app.put("/api/admin/slots/:id", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const slot = await Slot.findById(req.params.id);
+    if (!slot) return res.status(404).json({ message: "Slot not found" });
+    const before = auditSnapshot(slot);
+
+    ["name", "startTime", "endTime", "isActive"].forEach((key) => {
+      if (req.body[key] !== undefined) slot[key] = req.body[key];
+    });
+    await slot.validate();
+
+    if (slot.isActive) {
+      const overlap = await findOverlappingSlot({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        excludeId: slot._id,
+      });
+      if (overlap) return res.status(409).json({ message: `Slot overlaps with ${overlap.name}` });
+    }
+
+    await slot.save();
+    await recordAudit(req, { action: "slot.update", entity: "Slot", entityId: slot._id, before, after: slot });
+    res.json({ message: "Slot updated", slot });
+  } catch (error) {
+    if (error?.name === "ValidationError") return res.status(400).json({ message: error.message });
+    if (error?.code === 11000) return res.status(409).json({ message: "Slot name already exists" });
+    console.error("Update slot error:", error);
+    res.status(500).json({ message: "Error updating slot", error });
+  }
+});
+
+// --- Delete Slot (Admin only) ---
+// Slots still referenced by upcoming bookings can only be deactivated
+app.delete("/api/admin/slots/:id", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const inUse = await Booking.exists({
+      slot: req.params.id,
+      date: { $gte: dayRange(normalizeDateString(new Date())).start },
+    });
+    if (inUse) {
+      return res.status(409).json({ message: "Slot has upcoming bookings; deactivate it instead" });
+    }
+
+    const slot = await Slot.findByIdAndDelete(req.params.id);
+    if (!slot) return res.status(404).json({ message: "Slot not found" });
+    await recordAudit(req, { action: "slot.delete", entity: "Slot", entityId: slot._id, before: slot });
+    res.json({ message: "Slot deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Error deleting slot", error });
+  }
+});
+
+// --- Get Bookings (Admin Only): filtered & paginated ---
+// Past, rejected, cancelled and expired bookings are kept; filter by `status` to narrow the list.
+// Customer and payment details are for owners and managers; staff use the availability calendar (GET /api/bookings)
+app.get("/api/admin/bookings", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    // Query: status, paymentStatus, from, to, package, slot, email, q, sort, page, limit
+    const { filter, error: filterError } = buildBookingFilter(req.query);
+    if (filterError) return res.status(400).json({ message: filterError });
+    const { page, limit, skip, sort, error: pagingError } = buildBookingPaging(req.query);
+    if (pagingError) return res.status(400).json({ message: pagingError });
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter).sort(sort).skip(skip).limit(limit).populate("slot", "name startTime endTime"),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.json({ bookings, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error("Error fetching bookings:", err);
+    res.status(500).json({ message: "Error fetching bookings", error: err });
+  }
+});
+
+// --- Price Quote (Public) ---
+// Body: { packageId, guests, date?, slot? } → itemised price from the package's pricing rules
+app.post("/api/quote", async (req, res) => {
+  try {
+    const { packageId, guests, date, slot: slotValue } = req.body;
+
+    const normalized = date ? normalizeDateString(date) : null;
+    if (date && !normalized) return res.status(400).json({ message: "Invalid date" });
+
+    const slot = slotValue ? await resolveSlot(slotValue) : null;
+    if (slotValue && !slot) return res.status(400).json({ message: "Invalid slot" });
+
+    const pkg = await findPackage(packageId);
+    const quote = computeQuote({ pkg, guests, date: normalized, slot });
+
+    if (normalized) {
+      quote.available = !(await findSlotConflict({ date: normalized, slotId: slot?._id }));
+    }
+
+    res.json({ quote });
+  } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.status).json({ message: error.message });
+    console.error("Quote error:", error);
+    res.status(500).json({ message: "Error computing quote", error });
+  }
+});
+
+// --- Quote for an existing booking (Admin only) ---
+app.get("/api/admin/bookings/:id/quote", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate("slot");
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const quote = await quoteForBooking(booking);
+    res.json({ quote });
+  } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.status).json({ message: error.message });
+    console.error("Booking quote error:", error);
+    res.status(500).json({ message: "Error computing quote", error });
+  }
+});
+
+// --- Approve Booking & Generate Payment Links ---
+// Amount defaults to the server-side quote; an explicit `amount` that differs is recorded as an override
+app.post("/api/admin/bookings/:id/approve", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount: requestedAmount, overrideReason, advancePercent, balanceDueDays, provider } = req.body;
+
+    if (!id) return res.status(400).json({ message: "Booking ID is required" });
+    if (requestedAmount !== undefined && (isNaN(requestedAmount) || Number(requestedAmount) <= 0)) {
+      return res.status(400).json({ message: "Valid amount is required" });
+    }
+    if (provider && !PAYMENT_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ message: "Invalid payment provider" });
+    }
+
+    const booking = await Booking.findById(id).populate("slot");
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status} and can't be approved` });
+    }
+    if (booking.installments.some((i) => i.status === "paid")) {
+      return res.status(400).json({ message: "Booking already has payments; its schedule can't be replaced" });
+    }
+    const before = auditSnapshot(booking);
+
+    // Priced from the booking's package snapshot, so later package edits don't change it.
+    // An explicit amount still approves bookings the quote engine can't price (unknown package, guests over top tier)
+    let quote = null;
+    try {
+      quote = await quoteForBooking(booking);
+    } catch (err) {
+      if (!(err instanceof QuoteError) || requestedAmount === undefined) throw err;
+    }
+
+    if (quote?.manualPricingRequired && requestedAmount === undefined) {
+      return res.status(400).json({ message: "This package needs manual pricing; amount is required", quote });
+    }
+
+    const quotedAmount = quote?.total ?? null;
+    const amount = requestedAmount !== undefined ? Number(requestedAmount) : quotedAmount;
+
+    if (quote) {
+      booking.quote = {
+        total: quote.total,
+        tier: quote.tier,
+        items: quote.items,
+        manualPricingRequired: quote.manualPricingRequired,
+        computedAt: new Date(),
+      };
+    }
+    if (amount !== quotedAmount) {
+      booking.pricingOverride = {
+        quotedAmount,
+        amount,
+        reason: overrideReason,
+        overriddenBy: req.admin?.id,
+        overriddenAt: new Date(),
+      };
+    }
+    booking.amount = amount * 100; // paise
+    if (provider) booking.paymentProvider = provider;
+
+    // Re-approving replaces the schedule: the old links are cancelled first so a stale amount can't be paid
+    const replaced = booking.installments.filter((i) => i.status === "pending");
+    await cancelPaymentLinks(booking, replaced);
+
+    // ✅ Payment schedule: advance now, balance N days before the event
+    booking.installments = buildSchedule({
+      total: booking.amount,
+      eventDate: booking.date,
+      advancePercent: advancePercent !== undefined ? Number(advancePercent) : undefined,
+      balanceDueDays: balanceDueDays !== undefined ? Number(balanceDueDays) : undefined,
+    });
+
+    // ✅ Payment link per installment, before anything is saved: a booking is never approved without its links
+    const created = [];
+    // Rollback: the booking keeps its stored state except the replaced installments, whose links are gone
+    const rollBack = async () => {
+      await cancelPaymentLinks(booking, created);
+      if (replaced.length === 0) return;
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { "installments.$[old].status": "cancelled" } },
+        { arrayFilters: [{ "old._id": { $in: replaced.map((i) => i._id) } }] }
+      );
+    };
+    try {
+      for (const installment of booking.installments) {
+        await createInstallmentPaymentLink(booking, installment);
+        created.push(installment);
+      }
+    } catch (err) {
+      console.error(`Failed creating payment links for ${booking._id}:`, err);
+      await rollBack();
+      return res.status(502).json({ message: "Could not create payment links; the approval was not saved" });
+    }
+
+    booking.status = "approved";
+    syncPaymentStatus(booking);
+    // Date stays held for the customer to pay (released by the hold expiry job otherwise)
+    booking.holdExpiresAt = holdExpiry("unpaid");
+    booking.orderId = booking.installments[0].paymentLinkId;
+    try {
+      await saveWithNotifications(
+        booking,
+        await customerNotifications("bookingApproved", booking, { booking }, { attachments: await calendarAttachments(booking) })
+      );
+    } catch (err) {
+      await rollBack();
+      throw err;
+    }
+    await planReminders(booking);
+    await recordAudit(req, {
+      action: "booking.approve",
+      entity: "Booking",
+      entityId: booking._id,
+      before,
+      after: booking,
+      meta: { amount, quotedAmount, overrideReason },
+    });
+
+    res.json({ message: "Booking approved, payment links sent", booking, installments: booking.installments });
+  } catch (error) {
+    if (error instanceof QuoteError) return res.status(error.status).json({ message: error.message });
+    console.error("Approve booking error:", error);
+    res.status(500).json({ message: "Error approving booking", error });
+  }
+});
+
+/**
+ * Helper: handlePaymentWebhook
+ * Shared webhook handler for every payment provider:
+ *  - signature checked against the raw request bytes
+ *  - each provider event id is applied once (see WebhookEvent), retries are acknowledged
+ *  - the provider's event is normalized and applied to the same booking payment fields
+ */
+function handlePaymentWebhook(providerName) {
+  return async (req, res) => {
+    try {
+      const provider = getPaymentProvider(providerName);
+      const payload = provider.verifyWebhook(req.rawBody, req.headers);
+      if (!payload) return res.status(400).json({ message: "Invalid signature" });
+
+      const event = payload.event || payload.type;
+      const eventId = provider.webhookEventId(payload, req.rawBody, req.headers);
+
+      let log = await WebhookEvent.findOne({ provider: providerName, eventId });
+      if (log && ["processed", "ignored"].includes(log.status)) {
+        return res.json({ status: "ok", duplicate: true });
+      }
+      if (!log) {
+        try {
+          log = await WebhookEvent.create({ provider: providerName, eventId, event, payload });
+        } catch (err) {
+          // Concurrent delivery of the same event already logged it
+          if (err?.code === 11000) return res.json({ status: "ok", duplicate: true });
+          throw err;
+        }
+      }
+
+      const paymentEvent = provider.normalizeEvent(payload);
+      if (!paymentEvent) {
+        log.status = "ignored";
+        await log.save();
+        return res.json({ status: "ok" });
+      }
+
+      log.attempts += 1;
+      let result;
+      try {
+        result = await applyPaymentEvent(paymentEvent);
+      } catch (err) {
+        log.status = "failed";
+        log.error = err.message;
+        await log.save();
+        throw err; // 500 → the provider retries the delivery
+      }
+
+      const booking = result?.booking;
+      log.status = booking ? "processed" : "ignored";
+      log.booking = booking?._id;
+      log.processedAt = new Date();
+      await log.save();
+
+      if (booking) {
+        console.log(`✅ Booking ${booking._id} ${providerName} ${event} (${booking.paymentStatus})`);
+        await afterPaymentEvent(result, { io: req.app.get("io"), event });
+      }
+
+      res.json({ status: "ok" });
+    } catch (error) {
+      console.error(`${providerName} webhook error:`, error);
+      res.status(500).json({ message: "Webhook error", error });
+    }
+  };
+}
+
+// --- Payment Webhooks ---
+app.post("/api/razorpay/webhook", express.json({ type: "*/*", verify: captureRawBody }), handlePaymentWebhook("razorpay"));
+app.post("/api/stripe/webhook", express.json({ type: "*/*", verify: captureRawBody }), handlePaymentWebhook("stripe"));
+
+// --- Inbound SMS / WhatsApp (messaging provider webhook) ---
+// Handles STOP / START replies: opts the sender out of (or back into) the channel the reply came on.
+// The stub provider trusts any request, so it takes none in production
+app.post("/api/messaging/inbound", express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    if (!messagingConfigured()) return res.status(404).json({ message: "Messaging is not configured" });
+    const provider = getMessagingProvider();
+    if (provider.name === "stub" && process.env.NODE_ENV === "production") {
+      return res.status(403).json({ message: "The stub messaging provider doesn't accept inbound messages in production" });
+    }
+
+    const message = provider.parseInbound(req);
+    if (!message) return res.status(400).json({ message: "Invalid signature" });
+
+    const result = await applyInboundKeyword(message);
+    if (result) console.log(`💬 ${normalizePhone(message.from)} ${result} of ${message.channel}`);
+
+    // Twilio reads an empty TwiML response as "no reply"
+    res.type("text/xml").send("<Response></Response>");
+  } catch (error) {
+    console.error("Inbound message error:", error);
+    res.status(500).json({ message: "Inbound message error" });
+  }
+});
+
+// --- Re-issue an installment's payment link (Admin only) ---
+// e.g. after the original link expired; `provider` switches the booking to another provider
+app.post("/api/admin/bookings/:id/installments/:installmentId/link", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const { provider } = req.body;
+    if (provider && !PAYMENT_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ message: "Invalid payment provider" });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const installment = booking.installments.id(req.params.installmentId);
+    if (!installment) return res.status(404).json({ message: "Installment not found" });
+    if (installment.status === "paid") return res.status(400).json({ message: "Installment already paid" });
+    const before = auditSnapshot(booking);
+
+    if (provider) booking.paymentProvider = provider;
+    await createInstallmentPaymentLink(booking, installment);
+    installment.status = "pending";
+    syncPaymentStatus(booking);
+    await booking.save();
+    await recordAudit(req, {
+      action: "booking.paymentLink",
+      entity: "Booking",
+      entityId: booking._id,
+      before,
+      after: booking,
+      meta: { installmentId: installment._id },
+    });
+
+    res.json({ message: "Payment link created", installment });
+  } catch (error) {
+    console.error("Installment link error:", error);
+    res.status(500).json({ message: "Error creating payment link", error });
+  }
+});
+
+// --- Reject Booking ---
+// Kept with status "rejected" (and rejectedAt) for the records; its date/slot is released
+app.post("/api/admin/bookings/:id/reject", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status} and can't be rejected` });
+    }
+    if (booking.amountPaid > 0) {
+      return res.status(400).json({ message: "Booking has payments; cancel it to refund instead" });
+    }
+    const before = auditSnapshot(booking);
+
+    const open = booking.installments.filter((i) => i.status === "pending");
+    open.forEach((i) => (i.status = "cancelled"));
+
+    booking.status = "rejected";
+    booking.rejectionReason = req.body.reason;
+    booking.slotKey = undefined;
+    booking.holdExpiresAt = undefined;
+    await saveWithNotifications(booking, [
+      {
+        template: "bookingRejected",
+        to: booking.email,
+        locale: booking.locale,
+        data: { booking, reason: booking.rejectionReason },
+        booking: booking._id,
+      },
+    ]);
+    await recordAudit(req, { action: "booking.reject", entity: "Booking", entityId: booking._id, before, after: booking });
+    await planReminders(booking);
+
+    await cancelPaymentLinks(booking, open);
+    await offerWaitlistFor(booking, req.app.get("io"));
+
+    res.json({ message: "Booking rejected", booking });
+  } catch (error) {
+    console.error("Reject booking error:", error);
+    res.status(500).json({ message: "Error rejecting booking", error });
+  }
+});
+
+// --- Extend a Booking's Hold (Admin only) ---
+// Body: { hours } — keeps an unpaid pending/approved booking from expiring for that long
+app.post("/api/admin/bookings/:id/hold", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const hours = Number(req.body.hours);
+    if (!hours || hours <= 0) return res.status(400).json({ message: "Valid hours is required" });
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status}; its hold can't be extended` });
+    }
+
+    const before = auditSnapshot(booking);
+    booking.holdExpiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    await booking.save();
+    await recordAudit(req, { action: "booking.extendHold", entity: "Booking", entityId: booking._id, before, after: booking });
+    res.json({ message: "Hold extended", holdExpiresAt: booking.holdExpiresAt });
+  } catch (error) {
+    console.error("Extend hold error:", error);
+    res.status(500).json({ message: "Error extending hold", error });
+  }
+});
+
+// Helper: email customers whose hold expired and tell calendar clients the dates are free again
+function notifyHoldsReleased(released, io) {
+  if (released.length === 0) return;
+
+  io?.emit("holdsReleased", {
+    bookingIds: released.map((b) => b._id),
+    dates: [...new Set(released.map((b) => normalizeDateString(b.date)))],
+  });
+
+  released.forEach((booking) => {
+    console.log(`⌛ Hold expired for booking ${booking._id}`);
+    offerWaitlistFor(booking, io).catch((err) => console.error("Waitlist offer error:", err));
+    queueNotifications({
+      template: "bookingExpired",
+      to: booking.email,
+      locale: booking.locale,
+      data: { booking },
+      booking: booking._id,
+    }).catch((err) => console.error("Failed queueing hold expiry email:", err));
+  });
+}
+
+// Helper: email a waitlisted customer that a date freed up for them
+function sendWaitlistOffer({ entry, token }, io) {
+  io?.emit("waitlistOffered", { date: normalizeDateString(entry.date), entryId: entry._id });
+
+  const claimUrl = `${process.env.FRONTEND_URL}/book?date=${normalizeDateString(entry.date)}${
+    entry.offeredSlot ? `&slot=${entry.offeredSlot}` : ""
+  }&waitlistToken=${token}`;
+
+  return queueNotifications({
+    template: "waitlistOffer",
+    to: entry.email,
+    locale: entry.locale,
+    data: { entry, claimUrl },
+  }).catch((err) => console.error("Failed queueing waitlist offer email:", err));
+}
+
+// Helper: a booking released its date/slot — offer it to the next waitlisted customer
+async function offerWaitlistFor(booking, io) {
+  const offer = await offerNextInLine({ date: booking.date, slotId: booking.slot });
+  if (offer) await sendWaitlistOffer(offer, io);
+}
+
+// --- Join Waitlist (Public) ---
+// Body: { name, email, phone, package, guests, date, slot? } — slot left out = any slot that frees up
+app.post("/api/waitlist", async (req, res) => {
+  try {
+    const { name, email, phone, guests, date, slot: slotValue } = req.body;
+    const normalized = normalizeDateString(date);
+    if (!normalized) return res.status(400).json({ message: "Invalid or missing date" });
+
+    const slot = slotValue ? await resolveSlot(slotValue) : null;
+    if (slotValue && !slot) return res.status(400).json({ message: "Invalid slot" });
+
+    const pkg = await findPackage(req.body.package);
+    if (!pkg || pkg.isArchived) return res.status(400).json({ message: "Invalid package" });
+
+    // Only dates that are actually taken can be waitlisted
+    const hasSlots = await Slot.exists({ isActive: true });
+    const taken = slot || !hasSlots
+      ? await findSlotConflict({ date: normalized, slotId: slot?._id })
+      : (await getAvailability({ from: normalized })).bookedDates.includes(normalized);
+    if (!taken) return res.status(400).json({ message: "Selected date is available; book it directly" });
+
+    const existing = await WaitlistEntry.findOne({
+      email: String(email).toLowerCase().trim(),
+      date: new Date(normalized),
+      slot: slot?._id ?? null,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existing) return res.status(409).json({ message: "You are already on the waitlist for this date" });
+
+    const { token, tokenHash } = generateWaitlistToken();
+    const entry = await WaitlistEntry.create({
+      name,
+      email,
+      phone,
+      package: pkg._id,
+      guests,
+      date: normalized,
+      slot: slot?._id,
+      locale: req.body.locale,
+      tokenHash,
+    });
+
+    // Place in line for the same slot, in the order offers go out (see offerNextInLine):
+    // "any slot" entries are offered every slot, so they count towards a slot's line too
+    const position = await WaitlistEntry.countDocuments({
+      date: entry.date,
+      status: "waiting",
+      createdAt: { $lte: entry.createdAt },
+      ...(entry.slot ? { $or: [{ slot: entry.slot }, { slot: null }] } : { slot: null }),
+    });
+
+    res.status(201).json({ message: "Added to waitlist", entry, position, token });
+  } catch (error) {
+    if (error?.name === "ValidationError") return res.status(400).json({ message: error.message });
+    console.error("Join waitlist error:", error);
+    res.status(500).json({ message: "Error joining waitlist", error });
+  }
+});
+
+// --- Waitlist Entry by Token (Public) ---
+// Used to pre-fill the booking form from an offer email
+app.get("/api/waitlist/:token", async (req, res) => {
+  try {
+    const entry = await findEntryByToken(req.params.token);
+    if (!entry) return res.status(404).json({ message: "Waitlist entry not found" });
+    await entry.populate(["package", "slot", "offeredSlot"]);
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching waitlist entry", error });
+  }
+});
+
+// --- Leave Waitlist (Public) ---
+app.delete("/api/waitlist/:token", async (req, res) => {
+  try {
+    const entry = await findEntryByToken(req.params.token);
+    if (!entry || !["waiting", "offered"].includes(entry.status)) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    const wasOffered = entry.status === "offered";
+    entry.status = "removed";
+    await entry.save();
+
+    // Declining an offer passes the date on straight away
+    if (wasOffered) {
+      const next = await offerNextInLine({ date: entry.date, slotId: entry.offeredSlot });
+      if (next) await sendWaitlistOffer(next, req.app.get("io"));
+    }
+
+    res.json({ message: "Removed from waitlist" });
+  } catch (error) {
+    res.status(500).json({ message: "Error leaving waitlist", error });
+  }
+});
+
+// --- Get Waitlist (Admin only) ---
+// Query: ?date=YYYY-MM-DD&status=waiting
+app.get("/api/admin/waitlist", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.date) {
+      const normalized = normalizeDateString(req.query.date);
+      if (!normalized) return res.status(400).json({ message: "Invalid date" });
+      const { start, end } = dayRange(normalized);
+      filter.date = { $gte: start, $lte: end };
+    }
+    if (req.query.status) {
+      if (invalidFilterValue(req.query.status, WaitlistEntry.schema.path("status").enumValues)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      filter.status = req.query.status;
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .sort({ date: 1, createdAt: 1 })
+      .populate("package", "name category")
+      .populate("slot", "name")
+      .populate("offeredSlot", "name");
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching waitlist", error });
+  }
+});
+
+// --- Remove Waitlist Entry (Admin only) ---
+app.delete("/api/admin/waitlist/:id", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: "Waitlist entry not found" });
+
+    const before = auditSnapshot(entry);
+    entry.status = "removed";
+    await entry.save();
+    await recordAudit(req, { action: "waitlist.remove", entity: "WaitlistEntry", entityId: entry._id, before, after: entry });
+    res.json({ message: "Waitlist entry removed" });
+  } catch (error) {
+    res.status(500).json({ message: "Error removing waitlist entry", error });
+  }
+});
+
+// --- Reconcile Payments Now (Admin only) ---
+// Checks outstanding payment links with the providers and fixes missed webhooks
+app.post("/api/admin/payments/reconcile", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const report = await reconcilePayments({ trigger: "admin", triggeredBy: req.admin?.id, io: req.app.get("io") });
+    await recordAudit(req, {
+      action: "payments.reconcile",
+      entity: "ReconciliationReport",
+      entityId: report._id,
+      meta: { bookingsChecked: report.bookingsChecked, discrepancies: report.discrepancies.length },
+    });
+    res.json({ message: "Reconciliation complete", report });
+  } catch (error) {
+    console.error("Reconciliation error:", error);
+    res.status(500).json({ message: "Error reconciling payments", error });
+  }
+});
+
+// --- Reconciliation Reports (Admin only) ---
+app.get("/api/admin/payments/reconciliations", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const reports = await ReconciliationReport.find().sort({ startedAt: -1 }).limit(limit);
+    res.json(reports);
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching reconciliation reports", error });
+  }
+});
+
+// --- Invoices & Receipts of a Booking (Admin only) ---
+// Receipts are issued per payment and the invoice once fully paid, as the payments come in
+app.get("/api/admin/bookings/:id/documents", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const documents = await bookingDocuments(booking._id);
+    res.json(documents.map(({ _id, type, number, issuedAt, total }) => ({ _id, type, number, issuedAt, total })));
+  } catch (error) {
+    console.error("Booking documents error:", error);
+    res.status(500).json({ message: "Error fetching invoices", error });
+  }
+});
+
+// --- Invoice Register (Admin only) ---
+// Query: type (invoice | receipt), financialYear ("2026-27"), page, limit — in number order, for filing GST returns
+app.get("/api/admin/invoices", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) {
+      if (!INVOICE_TYPES.includes(req.query.type)) return res.status(400).json({ message: "Invalid type" });
+      filter.type = req.query.type;
+    }
+    if (req.query.financialYear) filter.financialYear = String(req.query.financialYear);
+    filter.number = { $exists: true }; // claimed documents get their number a moment later
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("-lines -payments -seller")
+        .sort({ financialYear: 1, type: 1, sequence: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.json({ invoices, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching invoices", error });
+  }
+});
+
+// --- Download Invoice / Receipt PDF (Admin only) ---
+app.get("/api/admin/invoices/:id/pdf", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid invoice id" });
+    const invoice = await Invoice.findOne({ _id: req.params.id, number: { $exists: true } });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${documentFilename(invoice)}"`);
+    res.send(await renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error("Invoice PDF error:", error);
+    res.status(500).json({ message: "Error generating invoice", error });
+  }
+});
+
+// --- Analytics (Admin only) ---
+// Query for every report: from, to (YYYY-MM-DD, both included; default the current financial year)
+const ANALYTICS_REPORTS = {
+  revenue: { report: revenueReport, groupBy: ["month", "financialYear"] },
+  occupancy: { report: occupancyReport, groupBy: ["date", "slot", "month"] },
+  packages: { report: packageReport },
+  funnel: { report: funnelReport },
+};
+
+// revenue: groupBy month | financialYear — booked, collected, outstanding and refunded amounts (₹)
+// occupancy: groupBy date | slot | month — confirmed bookings against slot capacity
+// packages: bookings, revenue and conversion per package and category
+// funnel: enquiries created in the range → approved → first payment → fully paid, with times between
+app.get("/api/admin/analytics/:report", verifyAdmin, bookingManagers, async (req, res) => {
+  const definition = ANALYTICS_REPORTS[req.params.report];
+  if (!definition) return res.status(404).json({ message: "Unknown report" });
+
+  try {
+    const range = parseDateRange(req.query);
+    const groupBy = req.query.groupBy || definition.groupBy?.[0];
+    if (req.query.groupBy && !definition.groupBy?.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of: ${(definition.groupBy || []).join(", ") || "(none)"}` });
+    }
+
+    res.json(await definition.report({ range, groupBy }));
+  } catch (error) {
+    if (error instanceof AnalyticsError) return res.status(error.status).json({ message: error.message });
+    console.error("Analytics error:", error);
+    res.status(500).json({ message: "Error building report", error });
+  }
+});
+
+// --- Spreadsheet Export & Import (Admin only) ---
+// Exports: ?format=csv | xlsx (default csv). Imports: multipart "file" (CSV or XLSX); rows are only
+// checked unless ?dryRun=false, which saves every row in one step — or none if any row has errors.
+const spreadsheetUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: importSettings().maxFileBytes } });
+
+// Helper: sends a sheet as a download, or 400 for an unknown format
+async function sendSpreadsheet(req, res, { name, columns, rows }) {
+  const format = req.query.format || "csv";
+  if (typeof format !== "string" || !Object.hasOwn(SPREADSHEET_FORMATS, format)) {
+    return res.status(400).json({ message: "format must be csv or xlsx" });
+  }
+
+  const buffer = await writeSpreadsheet(format, { sheetName: name, columns, rows });
+  res.setHeader("Content-Type", SPREADSHEET_FORMATS[format].contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${spreadsheetFilename(name, format)}"`);
+  res.send(buffer);
+}
+
+// Helper: reads the uploaded sheet and runs `importRows`; answers with the per-row report
+// (422 when a commit was refused because of row errors)
+function spreadsheetImport(columns, importRows) {
+  return async (req, res) => {
+    try {
+      const rows = await readSpreadsheet(req.file, columns);
+      const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? "true") !== "false";
+      const result = await importRows(req, rows, { dryRun });
+      const { report } = result;
+
+      if (dryRun) return res.json({ message: `${report.valid} of ${report.total} rows are valid`, ...report });
+      if (!report.committed) {
+        return res.status(422).json({ message: `${report.invalid} rows have errors; nothing was imported`, ...report });
+      }
+      res.status(201).json({ message: `Imported ${report.valid} rows`, ...report });
+    } catch (error) {
+      if (error instanceof SpreadsheetError) return res.status(error.status).json({ message: error.message });
+      if (error?.code === 11000) {
+        return res.status(409).json({ message: "A row clashes with a booking made meanwhile; nothing was imported" });
+      }
+      console.error("Spreadsheet import error:", error);
+      res.status(500).json({ message: "Error importing spreadsheet", error });
+    }
+  };
+}
+
+// Query: the booking list filters (status, paymentStatus, from, to, package, slot, email, q) and sort
+app.get("/api/admin/export/bookings", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const { filter, error } = buildBookingFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const paging = buildBookingPaging(req.query);
+    if (paging.error) return res.status(400).json({ message: paging.error });
+
+    const bookings = await Booking.find(filter).sort(paging.sort).populate("slot", "name");
+    await sendSpreadsheet(req, res, { name: "bookings", columns: BOOKING_COLUMNS, rows: bookingRows(bookings) });
+  } catch (error) {
+    console.error("Booking export error:", error);
+    res.status(500).json({ message: "Error exporting bookings", error });
+  }
+});
+
+// Every package, archived ones included
+app.get("/api/admin/export/packages", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const packages = await Package.find().sort({ category: 1, name: 1 });
+    await sendSpreadsheet(req, res, { name: "packages", columns: PACKAGE_COLUMNS, rows: packageRows(packages) });
+  } catch (error) {
+    console.error("Package export error:", error);
+    res.status(500).json({ message: "Error exporting packages", error });
+  }
+});
+
+// Past bookings (e.g. from the paper register); see importBookings for the checks made on each row
+app.post(
+  "/api/admin/import/bookings",
+  verifyAdmin,
+  bookingManagers,
+  spreadsheetUpload.single("file"),
+  spreadsheetImport(BOOKING_IMPORT_COLUMNS, async (req, rows, { dryRun }) => {
+    const result = await importBookings(rows, { dryRun });
+    if (result.report.committed) {
+      await recordAudit(req, {
+        action: "booking.import",
+        entity: "Booking",
+        meta: { file: req.file.originalname, count: result.saved.length, bookings: result.saved.map((b) => b._id) },
+      });
+      for (const booking of result.saved) await planReminders(booking);
+    }
+    return result;
+  })
+);
+
+// Creates packages and updates ones matched by Package ID or name; never deletes any
+app.post(
+  "/api/admin/import/packages",
+  verifyAdmin,
+  ownerOnly,
+  spreadsheetUpload.single("file"),
+  spreadsheetImport(PACKAGE_COLUMNS, async (req, rows, { dryRun }) => {
+    const result = await importPackages(rows, { dryRun, adminId: req.admin?.id });
+    for (const { doc, action, before } of result.saved) {
+      await recordAudit(req, {
+        action: `package.${action}`,
+        entity: "Package",
+        entityId: doc._id,
+        before,
+        after: doc,
+        meta: { import: req.file.originalname },
+      });
+    }
+    return result;
+  })
+);
+
+// --- Notification Outbox (Admin only) ---
+// Query: status (pending | sending | sent | failed), booking, template, page, limit — newest first
+app.get("/api/admin/notifications", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (invalidFilterValue(req.query.status, Notification.schema.path("status").enumValues)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.template) {
+      if (invalidFilterValue(req.query.template)) return res.status(400).json({ message: "Invalid template" });
+      filter.template = req.query.template;
+    }
+    if (req.query.booking) {
+      if (!mongoose.isValidObjectId(req.query.booking)) return res.status(400).json({ message: "Invalid booking id" });
+      filter.booking = req.query.booking;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .select("-html -attachments.content")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+    ]);
+
+    res.json({ notifications, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching notifications", error });
+  }
+});
+
+// --- Retry a Notification (Admin only) ---
+// Re-queues a failed (or stuck) message with a fresh set of attempts
+app.post("/api/admin/notifications/:id/retry", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid notification id" });
+    const notification = await retryNotification(req.params.id);
+    if (!notification) return res.status(404).json({ message: "Notification not found, already sent or being sent" });
+
+    await recordAudit(req, {
+      action: "notification.retry",
+      entity: "Notification",
+      entityId: notification._id,
+      meta: { template: notification.template, to: notification.to },
+    });
+    res.json({ message: "Notification queued for delivery", notification });
+  } catch (error) {
+    console.error("Retry notification error:", error);
+    res.status(500).json({ message: "Error retrying notification", error });
+  }
+});
+
+// --- Reminder Schedules (Admin only) ---
+// balanceReminder / eventReminder: days before the due date / event; thankYou: days after the event
+app.get("/api/admin/schedules", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    res.json(Object.values(await getSchedules()));
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching schedules", error });
+  }
+});
+
+// --- Update a Reminder Schedule (Admin only) ---
+// Body: { enabled?, days? (e.g. [3, 1]), sendAt? ("HH:mm", local time) } — upcoming jobs are re-planned
+app.put("/api/admin/schedules/:kind", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!JOB_KINDS.includes(kind)) return res.status(404).json({ message: "Unknown schedule" });
+
+    const { enabled, days, sendAt } = req.body;
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return res.status(400).json({ message: "enabled must be true or false" });
+    }
+    if (
+      days !== undefined &&
+      (!Array.isArray(days) || days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 0 || d > 60))
+    ) {
+      return res.status(400).json({ message: "days must be a list of whole days between 0 and 60" });
+    }
+    if (sendAt !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(sendAt)) {
+      return res.status(400).json({ message: "sendAt must be a time like 18:00" });
+    }
+
+    const schedule = (await JobSchedule.findOne({ kind })) || new JobSchedule({ kind });
+    const before = schedule.isNew ? null : auditSnapshot(schedule);
+    if (enabled !== undefined) schedule.enabled = enabled;
+    if (days !== undefined) schedule.days = [...new Set(days)].sort((a, b) => b - a);
+    if (sendAt !== undefined) schedule.sendAt = sendAt;
+    schedule.updatedBy = req.admin?.id;
+    await schedule.save();
+    await recordAudit(req, {
+      action: "schedule.update",
+      entity: "JobSchedule",
+      entityId: schedule._id,
+      before,
+      after: schedule,
+    });
+
+    const jobs = await syncAllJobs();
+    res.json({ message: "Schedule updated", schedule: (await getSchedules())[kind], jobs });
+  } catch (error) {
+    console.error("Update schedule error:", error);
+    res.status(500).json({ message: "Error updating schedule", error });
+  }
+});
+
+// --- Scheduled Jobs (Admin only) ---
+// Query: status (scheduled | running | done | skipped | cancelled | failed), kind, booking, page, limit
+app.get("/api/admin/jobs", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ["status", "kind"]) {
+      if (!req.query[key]) continue;
+      if (invalidFilterValue(req.query[key], ScheduledJob.schema.path(key).enumValues)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      filter[key] = req.query[key];
+    }
+    if (req.query.booking) {
+      if (!mongoose.isValidObjectId(req.query.booking)) return res.status(400).json({ message: "Invalid booking id" });
+      filter.booking = req.query.booking;
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    // Upcoming jobs soonest first, everything else most recent first
+    const order = req.query.status === "scheduled" ? 1 : -1;
+    const [jobs, total] = await Promise.all([
+      ScheduledJob.find(filter)
+        .populate("booking", "name email date status")
+        .sort({ runAt: order, _id: order })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduledJob.countDocuments(filter),
+    ]);
+
+    res.json({ jobs, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching jobs", error });
+  }
+});
+
+/**
+ * Helper: cancelBooking
+ * Applies the package's non-refundable percentage, refunds the rest through the provider each installment was paid with,
+ * cancels unpaid installments, releases the date/slot and emails a summary.
+ * Safe to retry: refunds already recorded on the booking are not issued again.
+ */
+async function cancelBooking(booking, { cancelledBy, adminId, reason }) {
+  const refund = computeRefund(booking);
+
+  for (const allocation of refund.allocations) {
+    const provider = getPaymentProvider(allocation.provider);
+    const result = await provider.refund({
+      paymentId: allocation.paymentId,
+      amount: allocation.amount,
+      notes: { bookingId: booking._id.toString(), installmentId: allocation.installmentId.toString() },
+    });
+    booking.refunds.push({
+      refundId: result.id,
+      provider: provider.name,
+      paymentId: allocation.paymentId,
+      amount: result.amount,
+      status: result.status,
+    });
+    // Persist each refund straight away so a failure part-way doesn't lose track of it
+    await booking.save();
+  }
+
+  // Unpaid installments: cancel their payment links (best-effort)
+  const open = booking.installments.filter((i) => i.status === "pending");
+  open.forEach((i) => (i.status = "cancelled"));
+  await cancelPaymentLinks(booking, open);
+
+  const refundedAmount = booking.refunds.reduce((sum, r) => sum + r.amount, 0);
+  booking.cancellation = {
+    reason,
+    cancelledBy,
+    adminId,
+    nonRefundablePercent: refund.nonRefundablePercent,
+    nonRefundableAmount: refund.nonRefundableAmount,
+    refundableAmount: refund.refundableAmount,
+    refundedAmount,
+  };
+  booking.status = "cancelled";
+  booking.slotKey = undefined; // release the date/slot
+  if (refundedAmount > 0) {
+    booking.paymentStatus = "refunded";
+    booking.isPaid = false;
+  }
+  await saveWithNotifications(booking, [
+    {
+      template: "bookingCancelled",
+      to: booking.email,
+      locale: booking.locale,
+      data: { booking, reason, refund: { ...refund, refundedAmount } },
+      booking: booking._id,
+    },
+  ]);
+  await planReminders(booking);
+
+  return { booking, refund: { ...refund, refundedAmount } };
+}
+
+// --- Cancel Booking & Refund (Admin only) ---
+app.post("/api/admin/bookings/:id/cancel", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status} and can't be cancelled` });
+    }
+    const before = auditSnapshot(booking);
+
+    const result = await cancelBooking(booking, {
+      cancelledBy: "admin",
+      adminId: req.admin?.id,
+      reason: req.body.reason,
+    });
+    await recordAudit(req, {
+      action: "booking.cancel",
+      entity: "Booking",
+      entityId: booking._id,
+      before,
+      after: booking,
+      meta: { refundedAmount: result.refund.refundedAmount },
+    });
+
+    const io = req.app.get("io");
+    io?.emit("bookingCancelled", { bookingId: booking._id });
+    await offerWaitlistFor(booking, io);
+
+    res.json({ message: "Booking cancelled", ...result });
+  } catch (error) {
+    console.error("Cancel booking error:", error);
+    res.status(500).json({ message: "Error cancelling booking", error: error?.error?.description || error.message });
+  }
+});
+
+// --- Reschedule Booking (Admin only) ---
+// Body: { date, slot?, amount?, reason? } — moves the booking keeping its payments.
+// Package prices don't depend on the date, so the amount only changes when `amount` is given;
+// approved bookings get their unpaid installments re-fitted to the new date.
+app.post("/api/admin/bookings/:id/reschedule", verifyAdmin, bookingManagers, async (req, res) => {
+  try {
+    const { date, slot: slotValue, amount: requestedAmount, reason } = req.body;
+    const normalized = normalizeDateString(date);
+    if (!normalized) return res.status(400).json({ message: "Invalid or missing date (expected YYYY-MM-DD or valid date)" });
+    if (requestedAmount !== undefined && (isNaN(requestedAmount) || Number(requestedAmount) <= 0)) {
+      return res.status(400).json({ message: "Valid amount is required" });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate("slot");
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status} and can't be rescheduled` });
     }
+    const before = auditSnapshot(booking);
 
-    // Check if a booking already exists for the same calendar day.
-    // We do two checks:
-    // 1) If date field is stored as 'YYYY-MM-DD' string
-    // 2) If date field is stored as Date, check documents whose date is within that day range
-    const startOfDay = new Date(normalized + "T00:00:00.000Z");
-    const endOfDay = new Date(normalized + "T23:59:59.999Z");
+    let slot = null;
+    if (await Slot.exists({ isActive: true })) {
+      if (!slotValue) return res.status(400).json({ message: "Slot is required" });
+      slot = await resolveSlot(slotValue);
+      if (!slot) return res.status(400).json({ message: "Invalid slot" });
+    }
 
-    // First, check exact string match (useful if date stored as string)
-    const existingByString = await Booking.findOne({ date: normalized });
+    const previous = { date: booking.date, slot: booking.slot?._id ?? booking.slot, amount: booking.amount };
+    if (normalizeDateString(previous.date) === normalized && String(previous.slot ?? "") === String(slot?._id ?? "")) {
+      return res.status(400).json({ message: "Booking is already on that date and slot" });
+    }
 
-    // Second, check Date-type storage (range query)
-    const existingByRange = await Booking.findOne({
-      date: { $gte: startOfDay, $lte: endOfDay },
-    });
+    notifyHoldsReleased(await releaseExpiredHolds({ date: normalized }), req.app.get("io"));
+    const existing = await findSlotConflict({ date: normalized, slotId: slot?._id, excludeId: booking._id });
+    if (existing) return res.status(409).json({ message: "Selected date is already booked" });
+    if (await findActiveOffer({ date: normalized, slotId: slot?._id })) {
+      return res.status(409).json({ message: "Selected date is reserved for a waitlisted customer" });
+    }
 
-    if (existingByString || existingByRange) {
-      return res.status(409).json({ message: "Selected date is already booked" });
+    // Amount: explicit amount > existing admin override > the booking's quote (the same on any date)
+    let newTotal = booking.amount;
+    const quote = await quoteForBooking(booking, { date: normalized }).catch((err) => {
+      if (err instanceof QuoteError) return null;
+      throw err;
+    });
+    if (requestedAmount !== undefined) {
+      newTotal = Number(requestedAmount) * 100;
+      booking.pricingOverride = {
+        quotedAmount: quote?.total ?? null,
+        amount: Number(requestedAmount),
+        reason: reason || "Rescheduled",
+        overriddenBy: req.admin?.id,
+        overriddenAt: new Date(),
+      };
+    } else if (!booking.pricingOverride?.amount && quote?.total != null) {
+      newTotal = quote.total * 100;
+    }
+    if (quote) {
+      booking.quote = {
+        total: quote.total,
+        tier: quote.tier,
+        items: quote.items,
+        manualPricingRequired: quote.manualPricingRequired,
+        computedAt: new Date(),
+      };
     }
 
-    // Create & save booking
-    const booking = new Booking(req.body);
+    // Move the booking; the unique slotKey index makes taking the new slot atomic
+    booking.date = normalized;
+    booking.slot = slot?._id;
+    booking.time = slot ? `${slot.startTime}-${slot.endTime}` : booking.time;
+    booking.slotKey = buildSlotKey(normalized, slot?._id);
 
-    // If your schema expects Date object for `date` and the client sent 'YYYY-MM-DD',
-    // you may want to convert. We'll leave it as sent; model should handle the field type.
-    await booking.save();
+    let schedule = { cancelled: [], created: [], overpaid: 0 };
+    if (booking.status === "approved") {
+      schedule = rebalanceSchedule(booking, { total: newTotal, eventDate: booking.date });
+    }
+
+    booking.rescheduleHistory.push({
+      fromDate: previous.date,
+      fromSlot: previous.slot,
+      toDate: booking.date,
+      toSlot: slot?._id,
+      previousAmount: previous.amount,
+      newAmount: booking.amount,
+      reason,
+      rescheduledBy: req.admin?.id,
+    });
 
-    // Notify admin by email (best-effort)
-    const admin = await Admin.findOne({});
-     const adminEmail = admin?.email;
+    // New installments get their links before anything is saved; if the provider fails
+    // the booking stays as it was, with its old links still payable
+    const created = [];
     try {
-      await sgMail.send({
-        from: `"Booking App" <${process.env.EMAIL_FROM}>`,
-        to: adminEmail,
-        subject: "New Booking Request",
-        text: `A new booking request has been submitted by ${booking.name}.`,
-      });
-    } catch (mailErr) {
-      console.warn("Failed sending booking notification email:", mailErr.message);
+      for (const installment of schedule.created) {
+        await createInstallmentPaymentLink(booking, installment);
+        created.push(installment);
+      }
+    } catch (err) {
+      console.error(`Failed creating payment links for ${booking._id}:`, err);
+      await cancelPaymentLinks(booking, created);
+      return res.status(502).json({ message: "Could not create payment links; the booking was not rescheduled" });
     }
 
-    // Return updated bookedDates to the client
-    const allBookings = await Booking.find({});
-    const bookedDates = allBookings
-      .map((b) => normalizeDateString(b.date))
-      .filter(Boolean)
-      .sort();
+    // The email lists the new installments' links, so it is queued once they exist
+    try {
+      await saveWithNotifications(booking, [
+        {
+          template: "bookingRescheduled",
+          to: booking.email,
+          locale: booking.locale,
+          data: { booking, previousDate: previous.date, previousAmount: previous.amount, slot },
+          // Same event UID with a higher SEQUENCE: calendars move the event to the new date
+          attachments: booking.status === "approved" ? await calendarAttachments(booking) : undefined,
+          booking: booking._id,
+        },
+      ]);
+    } catch (err) {
+      await cancelPaymentLinks(booking, created);
+      throw err;
+    }
+    // Only once the new schedule is saved do the replaced installments' links stop working
+    await cancelPaymentLinks(booking, schedule.cancelled);
+    await recordAudit(req, { action: "booking.reschedule", entity: "Booking", entityId: booking._id, before, after: booking });
+    await planReminders(booking);
+
+    const io = req.app.get("io");
+    io?.emit("bookingRescheduled", {
+      bookingId: booking._id,
+      fromDate: normalizeDateString(previous.date),
+      toDate: normalized,
+    });
+    await offerWaitlistFor({ date: previous.date, slot: previous.slot }, io);
 
-    res.status(201).json({ message: "Booking request submitted", booking, bookedDates });
+    res.json({ message: "Booking rescheduled", booking, overpaid: schedule.overpaid });
   } catch (error) {
-    // If unique index exists and insertion fails due to duplicate key, send 409
     if (error?.code === 11000) {
       return res.status(409).json({ message: "Selected date is already booked (duplicate key)" });
     }
-
-    console.error("Booking save error:", error);
-    res.status(500).json({ message: "Error saving booking", error });
+    console.error("Reschedule booking error:", error);
+    res.status(500).json({ message: "Error rescheduling booking", error });
   }
 });
 
-// --- Get All Bookings (Admin Only) with automatic past-booking deletion ---
-app.get("/api/admin/bookings", verifyAdmin, async (req, res) => {
+// ================= Customer Portal =================
+// Customers sign in with a one-time code (by email, or by SMS to the phone on their bookings) or a
+// magic link sent to the email on their bookings, and only ever see bookings made with that email.
+
+// Helper: the latest booking made with `email` (or `phone` when no email is given); sign-in is as its email
+function latestCustomerBooking({ email, phone }) {
+  return Booking.findOne(email ? { email: emailMatcher(email) } : { phone: String(phone).trim() })
+    .sort({ createdAt: -1 })
+    .select("email name locale phone");
+}
+
+// --- Request Login Code / Magic Link (Public) ---
+// Body: { email } — code and magic link by email; or { phone } — code by SMS to the phone on the
+// customer's latest booking (needs MESSAGING_PROVIDER, and goes out only if the phone takes SMS)
+app.post("/api/customer/login/request", async (req, res) => {
   try {
-    const today = new Date();
+    const { email, phone } = req.body;
+    if (!email && !phone) return res.status(400).json({ message: "Email or phone is required" });
+    if (!email && !messagingConfigured()) {
+      return res.status(400).json({ message: "Login by phone isn't available; use your email" });
+    }
+
+    const booking = await latestCustomerBooking({ email, phone });
+
+    // Same response whether or not bookings exist (or the customer asked too often), so the endpoint
+    // can't be used to look up customers; a phone resolves to its email, so both share one limit
+    const customerEmail = booking?.email?.toLowerCase();
+    if (customerEmail && (await loginRequestsExhausted(customerEmail))) {
+      console.warn(`Login code requests for ${customerEmail} are over the limit`);
+    } else if (customerEmail) {
+      const { code, linkToken, expiresInMinutes } = await createLoginChallenge(customerEmail);
+      await queueNotifications(
+        email
+          ? {
+              template: "customerLoginCode",
+              to: customerEmail,
+              locale: booking.locale,
+              data: {
+                name: booking.name,
+                code,
+                loginUrl: `${process.env.FRONTEND_URL}/my-bookings?login=${linkToken}`,
+                expiresInMinutes,
+              },
+            }
+          : {
+              channel: "sms",
+              template: "customerLoginCode",
+              to: normalizePhone(booking.phone),
+              locale: booking.locale,
+              data: { code, expiresInMinutes },
+            }
+      );
+    }
 
-    // 1️⃣ Delete past bookings automatically (if date is stored as Date)
-    // For robustness, we delete if a booking's normalized date is < todayNormalized
-    const todayNormalized = normalizeDateString(today);
-    // Delete documents whose normalized date is less than todayNormalized:
-    // This is best-effort; if date is Date object, we use range query
-    const deletedByRange = await Booking.deleteMany({
-      date: { $lt: new Date(todayNormalized + "T00:00:00.000Z") },
+    res.json({
+      message: `If we have bookings for you, a login code has been sent to your ${email ? "email" : "phone"}`,
     });
+  } catch (error) {
+    console.error("Customer login request error:", error);
+    res.status(500).json({ message: "Error sending login code" });
+  }
+});
 
-    if (deletedByRange.deletedCount > 0) {
-      console.log(`🗑️ ${deletedByRange.deletedCount} past bookings removed`);
-      const io = req.app.get("io");
-      io?.emit("pastBookingsDeleted");
+// --- Verify Login Code or Magic Link (Public) ---
+// Body: { email, code }, { phone, code } or { linkToken } → { token } for the customer endpoints
+app.post("/api/customer/login/verify", async (req, res) => {
+  try {
+    const { email, phone, code, linkToken } = req.body;
+
+    let customerEmail = null;
+    if (linkToken) {
+      customerEmail = await consumeMagicLink(linkToken);
+    } else if (code && (email || phone)) {
+      // A phone signs in as the email its code was issued for
+      const loginEmail = email || (await latestCustomerBooking({ phone }))?.email;
+      if (loginEmail && (await verifyLoginCode(loginEmail, code))) customerEmail = loginEmail.toLowerCase().trim();
     }
 
-    // 2️⃣ Fetch current/future bookings
-    const bookings = await Booking.find();
-    res.json(bookings);
-  } catch (err) {
-    console.error("Error fetching bookings:", err);
-    res.status(500).json({ message: "Error fetching bookings", error: err });
+    if (!customerEmail) return res.status(401).json({ message: "Invalid or expired code" });
+
+    res.json({ token: signCustomerToken(customerEmail), email: customerEmail });
+  } catch (error) {
+    console.error("Customer login verify error:", error);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-// --- Approve Booking & Generate Razorpay Payment Link ---
-app.post("/api/admin/bookings/:id/approve", verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { amount } = req.body;
+// Helper: what a customer sees of their booking (no admin notes or internal keys)
+function toCustomerView(booking) {
+  return {
+    _id: booking._id,
+    name: booking.name,
+    email: booking.email,
+    phone: booking.phone,
+    date: normalizeDateString(booking.date),
+    time: booking.time,
+    slot: booking.slot,
+    guests: booking.guests,
+    package: booking.packageSnapshot,
+    specialRequests: booking.specialRequests,
+    status: booking.status,
+    holdExpiresAt: booking.holdExpiresAt,
+    paymentProvider: booking.paymentProvider,
+    paymentStatus: booking.paymentStatus,
+    amount: booking.amount,
+    amountPaid: booking.amountPaid,
+    installments: booking.installments.map((i) => ({
+      _id: i._id,
+      kind: i.kind,
+      amount: i.amount,
+      dueDate: i.dueDate,
+      status: i.status,
+      paymentLinkUrl: i.status === "pending" ? i.paymentLinkUrl : undefined,
+      paymentId: i.paymentId,
+      paidAt: i.paidAt,
+    })),
+    refunds: booking.refunds.map((r) => ({ amount: r.amount, status: r.status, createdAt: r.createdAt })),
+    cancellation: booking.status === "cancelled" ? booking.cancellation : undefined,
+    createdAt: booking.createdAt,
+  };
+}
 
-    if (!id) return res.status(400).json({ message: "Booking ID is required" });
-    if (!amount || isNaN(amount) || Number(amount) <= 0) {
-      return res.status(400).json({ message: "Valid amount is required" });
-    }
+// Helper: load one of the signed-in customer's bookings (404 for anyone else's)
+function findCustomerBooking(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Booking.findOne({ _id: req.params.id, email: emailMatcher(req.customer.email) }).populate(
+    "slot",
+    "name startTime endTime"
+  );
+}
 
-    const booking = await Booking.findById(id);
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+// Helper: the phones on a customer's bookings (SMS / WhatsApp preferences are kept per phone)
+async function customerPhones(email) {
+  const phones = await Booking.distinct("phone", { email: emailMatcher(email) });
+  return [...new Set(phones.map(normalizePhone).filter(Boolean))];
+}
 
-    booking.status = "approved";
-    await booking.save();
+// --- My Notification Preferences (Customer) ---
+app.get("/api/customer/preferences", verifyCustomer, async (req, res) => {
+  try {
+    const phones = await customerPhones(req.customer.email);
+    const preferences = await CustomerPreference.find({ phone: { $in: phones } });
+    res.json(
+      phones.map((phone) => {
+        const preference = preferences.find((p) => p.phone === phone);
+        return {
+          phone,
+          locale: preference?.locale || "en",
+          sms: Boolean(preference?.sms?.enabled),
+          whatsapp: Boolean(preference?.whatsapp?.enabled),
+        };
+      })
+    );
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching preferences" });
+  }
+});
 
-    // ✅ Razorpay payment link
-    const paymentLink = await razorpay.paymentLink.create({
-      amount: Number(amount) * 100, // in paise
-      currency: "INR",
-      customer: {
-        name: booking.name,
-        email: booking.email,
-        contact: booking.phone,
-      },
-      notify: {
-        sms: true,
-        email: true,
-      },
-      reminder_enable: true,
-      notes: {
-        bookingId: booking._id.toString(),
-      },
-      callback_url: `${process.env.FRONTEND_URL}/payment-success?bookingId=${booking._id}`,
-      callback_method: "get",
-    });
+// Body: { sms?, whatsapp?, locale?, phone? } — phone left out = every phone on the customer's bookings
+app.put("/api/customer/preferences", verifyCustomer, async (req, res) => {
+  try {
+    const { sms, whatsapp, locale, phone } = req.body;
+    if (locale && !["en", "hi"].includes(locale)) return res.status(400).json({ message: "Invalid locale" });
 
-    // ✅ Send email
-    if (booking.email) {
-      await sgMail.send({
-        from: `"Booking App" <${process.env.EMAIL_FROM}>`,
-        to: booking.email,
-        subject: "Booking Approved - Complete Payment",
-        html: `
-          <p>Hello ${booking.name},</p>
-          <p>Your booking has been <b>approved</b>.</p>
-          <p>Please complete your payment by clicking the link below:</p>
-          <a href="${paymentLink.short_url}" target="_blank">Pay Now</a>
-          <p>Amount: ₹${amount}</p>
-          <p>Booking ID: ${booking._id}</p>
-        `,
-      });
+    let phones = await customerPhones(req.customer.email);
+    if (phone) {
+      phones = phones.filter((p) => p === normalizePhone(phone));
+      if (phones.length === 0) return res.status(404).json({ message: "Phone not found on your bookings" });
     }
 
-    res.json({ message: "Booking approved, payment link sent", booking, paymentLink });
+    const updated = await updatePreferences(phones, { sms, whatsapp }, { locale });
+    res.json({
+      message: "Preferences updated",
+      preferences: updated.map((p) => ({ phone: p.phone, locale: p.locale, sms: p.sms.enabled, whatsapp: p.whatsapp.enabled })),
+    });
   } catch (error) {
-    console.error("Approve booking error:", error);
-    res.status(500).json({ message: "Error approving booking", error });
+    console.error("Update preferences error:", error);
+    res.status(500).json({ message: "Error updating preferences" });
   }
 });
 
-// --- Razorpay Webhook ---
-app.post("/api/razorpay/webhook", express.json({ type: "*/*" }), async (req, res) => {
+// --- My Bookings (Customer) ---
+app.get("/api/customer/bookings", verifyCustomer, async (req, res) => {
   try {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const signature = req.headers["x-razorpay-signature"];
-    const body = JSON.stringify(req.body);
+    const bookings = await Booking.find({ email: emailMatcher(req.customer.email) })
+      .sort({ date: -1 })
+      .populate("slot", "name startTime endTime");
+    res.json(bookings.map(toCustomerView));
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching bookings" });
+  }
+});
 
-    const expectedSignature = crypto
-      .createHmac("sha256", secret)
-      .update(body)
-      .digest("hex");
+// --- My Booking (Customer) ---
+app.get("/api/customer/bookings/:id", verifyCustomer, async (req, res) => {
+  try {
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    res.json(toCustomerView(booking));
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching booking" });
+  }
+});
 
-    if (expectedSignature !== signature) {
-      return res.status(400).json({ message: "Invalid signature" });
+// --- Re-open Payment Links (Customer) ---
+// Returns the open links; expired or failed ones are re-issued
+app.post("/api/customer/bookings/:id/payment-links", verifyCustomer, async (req, res) => {
+  try {
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (booking.status !== "approved") {
+      return res.status(400).json({ message: "Payment links are available once the booking is approved" });
     }
 
-    const event = req.body.event;
+    let reissued = false;
+    for (const installment of booking.installments) {
+      if (!["expired", "failed"].includes(installment.status)) continue;
+      await createInstallmentPaymentLink(booking, installment);
+      installment.status = "pending";
+      reissued = true;
+    }
+    if (reissued) {
+      syncPaymentStatus(booking);
+      await booking.save();
+    }
 
-    if (event === "payment.captured") {
-      const payment = req.body.payload.payment.entity;
-      const bookingId = payment.notes?.bookingId;
+    const links = booking.installments
+      .filter((i) => i.status === "pending")
+      .map((i) => ({ installmentId: i._id, kind: i.kind, amount: i.amount, dueDate: i.dueDate, url: i.paymentLinkUrl }));
+    res.json({ links });
+  } catch (error) {
+    console.error("Customer payment link error:", error);
+    res.status(500).json({ message: "Error fetching payment links" });
+  }
+});
 
-      const booking = await Booking.findOneAndUpdate(
-        { _id: bookingId },
-        { isPaid: true, paymentId: payment.id },
-        { new: true }
-      );
+// --- Payment Receipt (Customer) ---
+app.get("/api/customer/bookings/:id/receipt", verifyCustomer, async (req, res) => {
+  try {
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
 
-      if (booking) {
-        console.log(`✅ Booking ${booking._id} marked as PAID`);
+    const paid = booking.installments.filter((i) => i.status === "paid");
+    if (paid.length === 0) return res.status(404).json({ message: "No payments on this booking yet" });
+
+    const rows = paid
+      .map(
+        (i) =>
+          `<tr><td>${normalizeDateString(i.paidAt)}</td><td>${INSTALLMENT_LABELS.en[i.kind]}</td><td>${escapeHtml(i.paymentId)}</td><td>₹${i.amount / 100}</td></tr>`
+      )
+      .join("");
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="receipt-${booking._id}.html"`);
+    res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Receipt ${booking._id}</title></head>
+<body>
+  <h2>Payment Receipt</h2>
+  <p>Booking ID: ${booking._id}<br>Name: ${escapeHtml(booking.name)}<br>Event date: ${normalizeDateString(booking.date)}${
+      booking.slot ? ` (${escapeHtml(booking.slot.name)})` : ""
+    }<br>Package: ${escapeHtml(booking.packageSnapshot?.name)}</p>
+  <table border="1" cellpadding="6" cellspacing="0">
+    <tr><th>Date</th><th>For</th><th>Payment ID</th><th>Amount</th></tr>
+    ${rows}
+  </table>
+  <p>Total paid: ₹${(booking.amountPaid || 0) / 100} of ₹${(booking.amount || 0) / 100}</p>
+</body></html>`);
+  } catch (error) {
+    res.status(500).json({ message: "Error generating receipt" });
+  }
+});
 
-        // 🔔 Real-time update
-        const io = req.app.get("io");
-        io.emit("paymentUpdate", { bookingId: booking._id, isPaid: true, name: booking.name });
-      }
+// --- Add My Booking to a Calendar (Customer) ---
+app.get("/api/customer/bookings/:id/calendar.ics", verifyCustomer, async (req, res) => {
+  try {
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!["approved", "completed"].includes(booking.status)) {
+      return res.status(400).json({ message: "Only confirmed bookings can be added to a calendar" });
     }
 
-    res.json({ status: "ok" });
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="booking-${booking._id}.ics"`);
+    res.send(await bookingCalendar(booking));
   } catch (error) {
-    console.error("Webhook error:", error);
-    res.status(500).json({ message: "Webhook error", error });
+    res.status(500).json({ message: "Error generating calendar file" });
   }
 });
 
-// --- Reject Booking ---
-app.post("/api/admin/bookings/:id/reject", verifyAdmin, async (req, res) => {
+// --- My Invoices & Receipts (Customer) ---
+app.get("/api/customer/bookings/:id/documents", verifyCustomer, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
+    const booking = await findCustomerBooking(req);
     if (!booking) return res.status(404).json({ message: "Booking not found" });
 
-    await booking.deleteOne();
+    const documents = await bookingDocuments(booking._id);
+    res.json(documents.map(({ _id, type, number, issuedAt, total }) => ({ _id, type, number, issuedAt, total })));
+  } catch (error) {
+    res.status(500).json({ message: "Error fetching invoices" });
+  }
+});
 
-    if (booking.email) {
-      await sgMail.send({
-        from: `"Booking App" <${process.env.EMAIL_FROM}>`,
-        to: booking.email,
-        subject: "Booking Rejected",
-        text: `Sorry, your booking request has been rejected and removed from our system.`,
+// --- Download My Invoice / Receipt PDF (Customer) ---
+app.get("/api/customer/bookings/:id/documents/:documentId", verifyCustomer, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.documentId)) return res.status(400).json({ message: "Invalid document id" });
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const invoice = await Invoice.findOne({ _id: req.params.documentId, booking: booking._id, number: { $exists: true } });
+    if (!invoice) return res.status(404).json({ message: "Document not found" });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${documentFilename(invoice)}"`);
+    res.send(await renderInvoicePdf(invoice));
+  } catch (error) {
+    res.status(500).json({ message: "Error generating invoice" });
+  }
+});
+
+// --- Cancel My Booking (Customer) ---
+// Pending requests can be withdrawn any time; approved bookings up to CUSTOMER_CANCEL_MIN_DAYS before the event
+app.post("/api/customer/bookings/:id/cancel", verifyCustomer, async (req, res) => {
+  try {
+    const booking = await findCustomerBooking(req);
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Booking is ${booking.status} and can't be cancelled` });
+    }
+
+    const minDays = Number(process.env.CUSTOMER_CANCEL_MIN_DAYS) || 7;
+    const daysToEvent = (new Date(booking.date) - Date.now()) / (24 * 60 * 60 * 1000);
+    if (booking.status === "approved" && daysToEvent < minDays) {
+      return res.status(400).json({
+        message: `Bookings can only be cancelled online up to ${minDays} days before the event; please contact the hall`,
       });
     }
 
-    res.json({ message: "Booking rejected and deleted", bookingId: req.params.id });
+    const result = await cancelBooking(booking, { cancelledBy: "customer", reason: req.body.reason });
+
+    const io = req.app.get("io");
+    io?.emit("bookingCancelled", { bookingId: booking._id });
+    await offerWaitlistFor(booking, io);
+
+    res.json({ message: "Booking cancelled", booking: toCustomerView(result.booking), refund: result.refund });
   } catch (error) {
-    console.error("Reject booking error:", error);
-    res.status(500).json({ message: "Error rejecting booking", error });
+    console.error("Customer cancel error:", error);
+    res.status(500).json({ message: "Error cancelling booking" });
   }
 });
 
 // --- Create Package (Admin only) ---
-app.post("/api/admin/packages", verifyAdmin, async (req, res) => {
+app.post("/api/admin/packages", verifyAdmin, ownerOnly, async (req, res) => {
   try {
     const pkg = new Package({ ...req.body, createdBy: req.admin?.id });
     await pkg.save();
+    await recordAudit(req, { action: "package.create", entity: "Package", entityId: pkg._id, after: pkg });
     res.status(201).json({ message: "Package created", package: pkg });
   } catch (error) {
     console.error("Create package error:", error);
@@ -407,9 +2170,11 @@ app.post("/api/admin/packages", verifyAdmin, async (req, res) => {
   }
 });
 // --- Get All Packages (Public) ---
+// Archived packages are hidden unless ?includeArchived=true
 app.get("/api/packages", async (req, res) => {
   try {
-    const packages = await Package.find().sort({ createdAt: -1 });
+    const filter = req.query.includeArchived === "true" ? {} : { isArchived: { $ne: true } };
+    const packages = await Package.find(filter).sort({ createdAt: -1 });
     res.json(packages);
   } catch (error) {
     res.status(500).json({ message: "Error fetching packages", error });
@@ -428,10 +2193,11 @@ app.get("/api/packages/:id", async (req, res) => {
 });
 
 // --- Update Package (Admin only) ---
-app.put("/api/admin/packages/:id", verifyAdmin, async (req, res) => {
+app.put("/api/admin/packages/:id", verifyAdmin, ownerOnly, async (req, res) => {
   try {
     const pkg = await Package.findById(req.params.id);
     if (!pkg) return res.status(404).json({ message: "Package not found" });
+    const before = auditSnapshot(pkg);
 
     Object.keys(req.body).forEach((key) => {
       if (Array.isArray(req.body[key])) {
@@ -446,6 +2212,7 @@ app.put("/api/admin/packages/:id", verifyAdmin, async (req, res) => {
     });
 
     await pkg.save();
+    await recordAudit(req, { action: "package.update", entity: "Package", entityId: pkg._id, before, after: pkg });
     res.json({ message: "Package updated", package: pkg });
   } catch (error) {
     console.error("Update package error:", error);
@@ -457,10 +2224,24 @@ app.put("/api/admin/packages/:id", verifyAdmin, async (req, res) => {
 
 
 // --- Delete Package (Admin only) ---
-app.delete("/api/admin/packages/:id", verifyAdmin, async (req, res) => {
+// Packages referenced by active bookings are archived instead of deleted
+app.delete("/api/admin/packages/:id", verifyAdmin, ownerOnly, async (req, res) => {
   try {
-    const pkg = await Package.findByIdAndDelete(req.params.id);
+    const pkg = await Package.findById(req.params.id);
     if (!pkg) return res.status(404).json({ message: "Package not found" });
+
+    const before = auditSnapshot(pkg);
+    const inUse = await Booking.exists({ package: pkg._id, status: { $in: ACTIVE_BOOKING_STATUSES } });
+    if (inUse) {
+      pkg.isArchived = true;
+      pkg.archivedAt = new Date();
+      await pkg.save();
+      await recordAudit(req, { action: "package.archive", entity: "Package", entityId: pkg._id, before, after: pkg });
+      return res.json({ message: "Package has active bookings and was archived", package: pkg });
+    }
+
+    await pkg.deleteOne();
+    await recordAudit(req, { action: "package.delete", entity: "Package", entityId: pkg._id, before });
     res.json({ message: "Package deleted" });
   } catch (error) {
     res.status(500).json({ message: "Error deleting package", error });
@@ -493,30 +2274,36 @@ app.get("/api/admin/contacts/:id", async (req, res) => {
 });
 
 // POST create a new contact (only admin)
-app.post("/api/admin/contacts", verifyAdmin, async (req, res) => {
+app.post("/api/admin/contacts", verifyAdmin, ownerOnly, async (req, res) => {
   try {
-    const { phone, location, socialMedia } = req.body;
-    const contact = new Contact({ phone, location, socialMedia });
+    const { phone, location, socialMedia, businessName, email, gstin, state, stateCode } = req.body;
+    const contact = new Contact({ phone, location, socialMedia, businessName, email, gstin, state, stateCode });
     await contact.save();
+    await recordAudit(req, { action: "contact.create", entity: "Contact", entityId: contact._id, after: contact });
     res.status(201).json(contact);
   } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
 // PUT update contact by ID (only admin)
-app.put("/api/admin/contacts/:id", verifyAdmin, async (req, res) => {
+app.put("/api/admin/contacts/:id", verifyAdmin, ownerOnly, async (req, res) => {
   try {
-    const { phone, location, socialMedia } = req.body;
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
-      { phone, location, socialMedia },
-      { new: true }
-    );
+    const { phone, location, socialMedia, businessName, email, gstin, state, stateCode } = req.body;
+    const contact = await Contact.findById(req.params.id);
     if (!contact) return res.status(404).json({ message: "Contact not found" });
+
+    const before = auditSnapshot(contact);
+    Object.entries({ phone, location, socialMedia, businessName, email, gstin, state, stateCode }).forEach(([key, value]) => {
+      if (value !== undefined) contact[key] = value;
+    });
+    await contact.save();
+    await recordAudit(req, { action: "contact.update", entity: "Contact", entityId: contact._id, before, after: contact });
     res.json(contact);
   } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ message: err.message });
     console.error(err);
     res.status(500).json({ message: "Server error" });
   }
@@ -524,10 +2311,11 @@ app.put("/api/admin/contacts/:id", verifyAdmin, async (req, res) => {
 
 
 // DELETE contact by ID (optional, only admin)
-app.delete("/api/admin/contacts/:id", verifyAdmin, async (req, res) => {
+app.delete("/api/admin/contacts/:id", verifyAdmin, ownerOnly, async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
     if (!contact) return res.status(404).json({ message: "Contact not found" });
+    await recordAudit(req, { action: "contact.delete", entity: "Contact", entityId: contact._id, before: contact });
     res.json({ message: "Contact deleted" });
   } catch (err) {
     console.error(err);
@@ -535,25 +2323,6 @@ app.delete("/api/admin/contacts/:id", verifyAdmin, async (req, res) => {
   }
 });
 
-// --- Admin Schema & Model ---
-import mongoosePkg from "mongoose";
-const adminSchema = new mongoosePkg.Schema(
-  {
-    email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-  },
-  { timestamps: true }
-);
-
-// hash password before saving
-adminSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) return next();
-  this.password = await bcrypt.hash(this.password, 10);
-  next();
-});
-
-const Admin = mongoose.models.Admin || mongoose.model("Admin", adminSchema);
-
 // --- Update Admin Email & Password ---
 app.put("/api/admin/update", verifyAdmin, async (req, res) => {
   try {
@@ -561,19 +2330,308 @@ app.put("/api/admin/update", verifyAdmin, async (req, res) => {
 
     const admin = await Admin.findById(req.admin.id);
     if (!admin) return res.status(404).json({ message: "Admin not found" });
+    const before = auditSnapshot(admin);
 
     if (email) admin.email = email;
-    if (password) admin.password = password; // will hash automatically due to pre("save")
+    if (password) {
+      admin.password = password; // will hash automatically due to pre("save")
+      await revokeAllSessions(admin, "password"); // sign out other devices
+    }
 
     await admin.save();
+    // Password values never reach the log, only the fact that it changed
+    await recordAudit(req, {
+      action: "admin.update",
+      entity: "Admin",
+      entityId: admin._id,
+      before,
+      after: admin,
+      meta: { passwordChanged: Boolean(password) },
+    });
 
-    res.json({ message: "Admin updated successfully" });
+    // A password change revoked the current session too, so hand back a fresh one
+    res.json({ message: "Admin updated successfully", ...(password ? await issueSession(admin, req) : {}) });
   } catch (err) {
     console.error("Update admin error:", err);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// --- Current Admin (any role) ---
+app.get("/api/admin/me", verifyAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    res.json(admin);
+  } catch (err) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// --- Calendar Feed Subscription (any role) ---
+// Creates (or replaces) the admin's private feed URL for phone / desktop calendars; the old URL stops working
+app.post("/api/admin/calendar/token", verifyAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    const { token, tokenHash } = generateCalendarToken();
+    admin.calendarTokenHash = tokenHash;
+    admin.calendarTokenCreatedAt = new Date();
+    await admin.save();
+    await recordAudit(req, { action: "calendar.subscribe", entity: "Admin", entityId: admin._id });
+
+    const feedUrl = `${process.env.PUBLIC_URL}/api/calendar/bookings.ics?token=${token}`;
+    res.json({ feedUrl, webcalUrl: feedUrl.replace(/^https?:/, "webcal:") });
+  } catch (error) {
+    console.error("Calendar token error:", error);
+    res.status(500).json({ message: "Error creating calendar feed", error });
+  }
+});
+
+app.delete("/api/admin/calendar/token", verifyAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+    admin.calendarTokenHash = undefined;
+    admin.calendarTokenCreatedAt = undefined;
+    await admin.save();
+    await recordAudit(req, { action: "calendar.unsubscribe", entity: "Admin", entityId: admin._id });
+    res.json({ message: "Calendar feed removed" });
+  } catch (error) {
+    res.status(500).json({ message: "Error removing calendar feed", error });
+  }
+});
+
+// --- Bookings Calendar Feed (token in the URL) ---
+// iCalendar feed of confirmed bookings from CALENDAR_PAST_DAYS ago (default 90) onwards
+app.get("/api/calendar/bookings.ics", async (req, res) => {
+  try {
+    const admin = await findAdminByCalendarToken(req.query.token);
+    if (!admin) return res.status(401).json({ message: "Invalid calendar token" });
+
+    const pastDays = Number(process.env.CALENDAR_PAST_DAYS) || 90;
+    const from = dayRange(normalizeDateString(new Date(Date.now() - pastDays * 24 * 60 * 60 * 1000))).start;
+    const bookings = await Booking.find({ status: { $in: ["approved", "completed"] }, date: { $gte: from } })
+      .populate("slot", "name startTime endTime")
+      .sort({ date: 1 });
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.send(await bookingsFeed(bookings));
+  } catch (error) {
+    console.error("Calendar feed error:", error);
+    res.status(500).json({ message: "Error building calendar feed" });
+  }
+});
+
+// ================= Admin Accounts (Owner only) =================
+
+// Helper: true if `admin` is the only active owner (who must not be demoted or deactivated)
+async function isLastActiveOwner(admin) {
+  if (admin.role !== "owner" || !admin.isActive) return false;
+  const owners = await Admin.countDocuments({ role: "owner", isActive: true, password: { $exists: true } });
+  return owners <= 1;
+}
+
+// --- List Admins ---
+app.get("/api/admin/admins", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json(admins);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching admins", error: err });
+  }
+});
+
+// --- Invite Admin ---
+// Body: { email, role, name? } — emails a link to set a password; inviting a pending address again re-sends it
+app.post("/api/admin/admins/invite", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const { email, role = "staff", name } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required" });
+    if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+
+    let admin = await Admin.findOne({ email });
+    if (admin?.password) return res.status(409).json({ message: "An admin with this email already exists" });
+
+    const { token, tokenHash } = generateInviteToken();
+    admin = admin || new Admin({ email });
+    admin.set({
+      name,
+      role,
+      isActive: true,
+      invitedBy: req.admin.id,
+      inviteTokenHash: tokenHash,
+      inviteExpiresAt: new Date(Date.now() + inviteHours() * 60 * 60 * 1000),
+    });
+    await saveWithNotifications(admin, [
+      {
+        template: "adminInvite",
+        to: admin.email,
+        data: {
+          name: admin.name,
+          role,
+          inviteUrl: `${process.env.FRONTEND_URL}/admin/invite?token=${token}`,
+          expiresInHours: inviteHours(),
+        },
+      },
+    ]);
+    await recordAudit(req, { action: "admin.invite", entity: "Admin", entityId: admin._id, after: admin });
+
+    res.status(201).json({ message: "Invitation sent", admin });
+  } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error("Invite admin error:", err);
+    res.status(500).json({ message: "Error inviting admin", error: err });
+  }
+});
+
+// --- Accept Invitation (Public) ---
+// Body: { token, password, name? } — sets the password and signs the new admin in
+app.post("/api/admin/invite/accept", async (req, res) => {
+  try {
+    const { token, password, name } = req.body;
+    if (!token || !password) return res.status(400).json({ message: "Token and password are required" });
+
+    const admin = await Admin.findOne({ inviteTokenHash: hashInviteToken(token) });
+    if (!admin || !admin.isActive || admin.inviteExpiresAt <= new Date()) {
+      return res.status(400).json({ message: "Invitation is invalid or has expired" });
+    }
+
+    admin.password = password;
+    if (name) admin.name = name;
+    admin.inviteTokenHash = undefined;
+    admin.inviteExpiresAt = undefined;
+    admin.inviteAcceptedAt = new Date();
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    res.json({ message: "Invitation accepted", ...(await issueSession(admin, req)) });
+  } catch (err) {
+    if (err?.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error("Accept invite error:", err);
+    res.status(500).json({ message: "Error accepting invitation", error: err });
+  }
+});
+
+// --- Change Admin Role ---
+app.put("/api/admin/admins/:id/role", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+    if (role !== "owner" && (await isLastActiveOwner(admin))) {
+      return res.status(400).json({ message: "There must be at least one active owner" });
+    }
+
+    const before = auditSnapshot(admin);
+    admin.role = role;
+    await admin.save();
+    await recordAudit(req, { action: "admin.role", entity: "Admin", entityId: admin._id, before, after: admin });
+
+    res.json({ message: "Role updated", admin });
+  } catch (err) {
+    console.error("Change role error:", err);
+    res.status(500).json({ message: "Error changing role", error: err });
+  }
+});
+
+// --- Deactivate / Reactivate Admin ---
+// Deactivated admins can't sign in and their existing tokens stop working immediately
+app.post("/api/admin/admins/:id/deactivate", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+    if (!admin.isActive) return res.status(400).json({ message: "Admin is already deactivated" });
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({ message: "There must be at least one active owner" });
+    }
+
+    const before = auditSnapshot(admin);
+    admin.isActive = false;
+    admin.deactivatedAt = new Date();
+    await revokeAllSessions(admin, "deactivated");
+    await admin.save();
+    await recordAudit(req, { action: "admin.deactivate", entity: "Admin", entityId: admin._id, before, after: admin });
+
+    res.json({ message: "Admin deactivated", admin });
+  } catch (err) {
+    console.error("Deactivate admin error:", err);
+    res.status(500).json({ message: "Error deactivating admin", error: err });
+  }
+});
+
+app.post("/api/admin/admins/:id/reactivate", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+    if (admin.isActive) return res.status(400).json({ message: "Admin is already active" });
+
+    const before = auditSnapshot(admin);
+    admin.isActive = true;
+    admin.deactivatedAt = undefined;
+    await admin.save();
+    await recordAudit(req, { action: "admin.reactivate", entity: "Admin", entityId: admin._id, before, after: admin });
+
+    res.json({ message: "Admin reactivated", admin });
+  } catch (err) {
+    console.error("Reactivate admin error:", err);
+    res.status(500).json({ message: "Error reactivating admin", error: err });
+  }
+});
+
+// --- Audit Log (Admin only) ---
+// Query: entity, entityId, actor (admin id), action, from, to (YYYY-MM-DD), page, limit — newest first
+app.get("/api/admin/audit", verifyAdmin, ownerOnly, async (req, res) => {
+  try {
+    const { entity, entityId, actor, action, from, to } = req.query;
+    const filter = {};
+    if (entity) {
+      if (invalidFilterValue(entity, AuditLog.schema.path("entity").enumValues)) {
+        return res.status(400).json({ message: "Invalid entity" });
+      }
+      filter.entity = entity;
+    }
+    if (action) {
+      if (invalidFilterValue(action)) return res.status(400).json({ message: "Invalid action" });
+      filter.action = action;
+    }
+    for (const [key, value] of [["entityId", entityId], ["actor", actor]]) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) return res.status(400).json({ message: `Invalid ${key}` });
+      filter[key] = value;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        const normalized = normalizeDateString(from);
+        if (!normalized) return res.status(400).json({ message: "Invalid from date" });
+        filter.createdAt.$gte = dayRange(normalized).start;
+      }
+      if (to) {
+        const normalized = normalizeDateString(to);
+        if (!normalized) return res.status(400).json({ message: "Invalid to date" });
+        filter.createdAt.$lte = dayRange(normalized).end;
+      }
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ entries, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("Audit log query error:", error);
+    res.status(500).json({ message: "Error fetching audit log", error });
+  }
+});
+
 cloudinary.config({
   cloud_name: process.env.CLOUD_NAME,
   api_key: process.env.CLOUD_API_KEY,
@@ -584,7 +2642,7 @@ cloudinary.config({
 const upload = multer({ storage: multer.memoryStorage() });
 
 // --- Upload Image (Admin only) ---
-app.post("/api/admin/gallery/upload", verifyAdmin, upload.single("image"), async (req, res) => {
+app.post("/api/admin/gallery/upload", verifyAdmin, ownerOnly, upload.single("image"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ message: "No file uploaded" });
 
@@ -607,6 +2665,7 @@ app.post("/api/admin/gallery/upload", verifyAdmin, upload.single("image"), async
     });
 
     await galleryImage.save();
+    await recordAudit(req, { action: "gallery.upload", entity: "GalleryImage", entityId: galleryImage._id, after: galleryImage });
     res.status(201).json({ message: "Image uploaded successfully", image: galleryImage });
   } catch (err) {
     console.error("Gallery upload error:", err);
@@ -626,7 +2685,7 @@ app.get("/api/admin/gallery",  async (req, res) => {
 });
 
 // --- Delete Image by ID (Admin only) ---
-app.delete("/api/admin/gallery/:id", verifyAdmin, async (req, res) => {
+app.delete("/api/admin/gallery/:id", verifyAdmin, ownerOnly, async (req, res) => {
   try {
     const image = await GalleryImage.findById(req.params.id);
     if (!image) return res.status(404).json({ message: "Image not found" });
@@ -636,6 +2695,7 @@ app.delete("/api/admin/gallery/:id", verifyAdmin, async (req, res) => {
 
     // Delete from MongoDB
     await image.deleteOne();
+    await recordAudit(req, { action: "gallery.delete", entity: "GalleryImage", entityId: image._id, before: image });
 
     res.json({ message: "Image deleted successfully" });
   } catch (err) {
@@ -660,3 +2720,76 @@ const io = new Server(server, {
   },
 });
 app.set("io", io);
+
+// --- Scheduled Hold & Waitlist Offer Expiry ---
+const HOLD_CHECK_INTERVAL_MINUTES = Number(process.env.HOLD_CHECK_INTERVAL_MINUTES) || 15;
+setInterval(async () => {
+  try {
+    notifyHoldsReleased(await releaseExpiredHolds(), io);
+
+    const { offers } = await expireWaitlistOffers();
+    for (const offer of offers) await sendWaitlistOffer(offer, io);
+  } catch (err) {
+    console.error("Hold/waitlist expiry error:", err);
+  }
+}, HOLD_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+// --- Scheduled Past-Booking Archiving ---
+// Past approved bookings become "completed", stale pending ones "expired" (nothing is deleted)
+async function archivePastBookings() {
+  try {
+    const { completed, expired } = await completePastBookings();
+    if (completed + expired > 0) {
+      console.log(`🗄️ Archived past bookings: ${completed} completed, ${expired} expired`);
+      io.emit("pastBookingsArchived", { completed, expired });
+    }
+  } catch (err) {
+    console.error("Archive past bookings error:", err);
+  }
+}
+archivePastBookings();
+setInterval(archivePastBookings, 60 * 60 * 1000);
+
+// --- Notification Worker ---
+// Delivers queued emails and retries failed ones with backoff (new messages are also sent right after queueing)
+const NOTIFICATION_INTERVAL_SECONDS = Number(process.env.NOTIFICATION_INTERVAL_SECONDS) || 60;
+setInterval(async () => {
+  try {
+    const { failed } = await deliverPendingNotifications();
+    if (failed > 0) io.emit("notificationsFailed", { failed });
+  } catch (err) {
+    console.error("Notification worker error:", err);
+  }
+}, NOTIFICATION_INTERVAL_SECONDS * 1000);
+
+// --- Scheduled Job Worker ---
+// Runs due reminder / thank-you jobs; jobs are stored in MongoDB, so ones due while the server was down run on start
+const JOB_INTERVAL_SECONDS = Number(process.env.JOB_INTERVAL_SECONDS) || 60;
+async function runScheduledJobs() {
+  try {
+    const { done, failed } = await runDueJobs();
+    if (done > 0) console.log(`⏰ Ran ${done} scheduled jobs`);
+    if (failed > 0) io.emit("scheduledJobsFailed", { failed });
+  } catch (err) {
+    console.error("Scheduled job worker error:", err);
+  }
+}
+// Plan jobs for bookings approved before the scheduler existed (or while a schedule changed), then start
+syncAllJobs()
+  .catch((err) => console.error("Planning scheduled jobs failed:", err))
+  .then(runScheduledJobs);
+setInterval(runScheduledJobs, JOB_INTERVAL_SECONDS * 1000);
+
+// --- Scheduled Payment Reconciliation ---
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES) || 60;
+setInterval(async () => {
+  try {
+    const report = await reconcilePayments({ trigger: "schedule", io });
+    if (report.discrepancies.length > 0) {
+      console.log(`🔁 Reconciliation found ${report.discrepancies.length} discrepancies (report ${report._id})`);
+      io.emit("paymentsReconciled", { reportId: report._id, discrepancies: report.discrepancies.length });
+    }
+  } catch (err) {
+    console.error("Scheduled reconciliation error:", err);
+  }
+}, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
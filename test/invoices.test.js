@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { financialYear, splitGst } from "../utils/invoices/index.js";
+
+test("the financial year runs from April to March", () => {
+  assert.equal(financialYear(new Date(2026, 3, 1, 12)), "2026-27");
+  assert.equal(financialYear(new Date(2027, 2, 31, 12)), "2026-27");
+  assert.equal(financialYear(new Date(2026, 2, 15, 12)), "2025-26");
+  assert.equal(financialYear(new Date(2099, 11, 1, 12)), "2099-00");
+});
+
+test("a GST-inclusive amount splits into taxable value and equal CGST and SGST", () => {
+  assert.deepEqual(splitGst(118000, 18), { amount: 118000, taxable: 100000, cgst: 9000, sgst: 9000 });
+});
+
+test("rounding leaves the parts adding up to the amount", () => {
+  const split = splitGst(100001, 18);
+
+  assert.equal(split.taxable, 84747);
+  assert.equal(split.cgst + split.sgst, 100001 - 84747);
+  assert.equal(split.taxable + split.cgst + split.sgst, 100001);
+  assert.ok(Math.abs(split.cgst - split.sgst) <= 1);
+});
+
+test("a zero rate has no tax", () => {
+  assert.deepEqual(splitGst(50000, 0), { amount: 50000, taxable: 50000, cgst: 0, sgst: 0 });
+});
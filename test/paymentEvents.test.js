@@ -0,0 +1,142 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../models/booking.js";
+import { applyPaymentEvent } from "../utils/paymentProviders/index.js";
+
+// No database: applyPaymentEvent's lookups are answered from memory
+let booking;
+const originals = { findById: Booking.findById, findOne: Booking.findOne };
+
+function approvedBooking() {
+  const doc = new Booking({
+    name: "Asha",
+    email: "asha@example.com",
+    phone: "+919876543210",
+    package: new mongoose.Types.ObjectId(),
+    guests: 150,
+    date: "2026-12-20",
+    time: "18:00-23:00",
+    status: "approved",
+    amount: 100000,
+    paymentProvider: "razorpay",
+    installments: [
+      { kind: "advance", amount: 25000, dueDate: new Date(), provider: "razorpay", paymentLinkId: "plink_advance" },
+      { kind: "balance", amount: 75000, dueDate: new Date(), provider: "razorpay", paymentLinkId: "plink_balance" },
+    ],
+  });
+  doc.save = async function () {
+    return this;
+  };
+  return doc;
+}
+
+const paidEvent = (paymentLinkId, paymentId, amount) => ({
+  type: "paid",
+  bookingId: String(booking._id),
+  paymentLinkId,
+  paymentId,
+  amount,
+});
+
+beforeEach(() => {
+  booking = approvedBooking();
+  Booking.findById = async (id) => (String(id) === String(booking._id) ? booking : null);
+  Booking.findOne = async () => null;
+});
+
+afterEach(() => {
+  Booking.findById = originals.findById;
+  Booking.findOne = originals.findOne;
+});
+
+test("a payment marks its installment paid once, however often it is delivered", async () => {
+  const first = await applyPaymentEvent(paidEvent("plink_advance", "pay_1", 25000));
+  assert.equal(first.paid, true);
+  assert.equal(first.latePayment, null);
+  assert.equal(booking.installments[0].status, "paid");
+  assert.equal(booking.paymentStatus, "partially_paid");
+  assert.equal(booking.amountPaid, 25000);
+
+  const again = await applyPaymentEvent(paidEvent("plink_advance", "pay_1", 25000));
+  assert.equal(again.paid, false);
+  assert.equal(booking.amountPaid, 25000);
+});
+
+test("a payment for a cancelled installment is kept as a late payment, once", async () => {
+  booking.installments[1].status = "cancelled";
+
+  const result = await applyPaymentEvent(paidEvent("plink_balance", "pay_2", 75000));
+  assert.equal(result.paid, false);
+  assert.equal(result.latePayment.paymentId, "pay_2");
+  assert.equal(result.latePayment.reason, "Installment cancelled");
+  assert.equal(String(result.latePayment.installmentId), String(booking.installments[1]._id));
+  assert.equal(booking.installments[1].status, "cancelled");
+  assert.equal(booking.amountPaid, 0);
+
+  const again = await applyPaymentEvent(paidEvent("plink_balance", "pay_2", 75000));
+  assert.equal(again.latePayment, null);
+  assert.equal(booking.latePayments.length, 1);
+});
+
+test("a payment for a closed booking is kept as a late payment", async () => {
+  booking.status = "expired";
+
+  const result = await applyPaymentEvent(paidEvent("plink_advance", "pay_3", 25000));
+  assert.equal(result.paid, false);
+  assert.equal(result.latePayment.reason, "Booking expired");
+  assert.equal(result.latePayment.amount, 25000);
+  assert.equal(booking.installments[0].status, "pending");
+  assert.equal(booking.paymentStatus, "unpaid");
+});
+
+test("only refunds covering what was paid mark the booking refunded", async () => {
+  await applyPaymentEvent(paidEvent("plink_advance", "pay_1", 25000));
+  const refund = (id, amount) => ({
+    type: "refunded",
+    bookingId: String(booking._id),
+    refund: { id, paymentId: "pay_1", amount },
+  });
+
+  await applyPaymentEvent(refund("rfnd_1", 10000));
+  assert.equal(booking.paymentStatus, "partially_paid");
+  assert.equal(booking.refunds.length, 1);
+
+  await applyPaymentEvent(refund("rfnd_2", 15000));
+  assert.equal(booking.paymentStatus, "refunded");
+  assert.equal(booking.isPaid, false);
+});
+
+test("a repeated refund event is recorded once", async () => {
+  await applyPaymentEvent(paidEvent("plink_advance", "pay_1", 25000));
+  const refund = {
+    type: "refunded",
+    bookingId: String(booking._id),
+    refund: { id: "rfnd_1", paymentId: "pay_1", amount: 25000 },
+  };
+
+  await applyPaymentEvent(refund);
+  await applyPaymentEvent(refund);
+  assert.equal(booking.refunds.length, 1);
+  assert.equal(booking.paymentStatus, "refunded");
+});
+
+test("refunds of late payments don't count towards refunding the booking", async () => {
+  await applyPaymentEvent(paidEvent("plink_advance", "pay_1", 25000));
+  booking.installments[1].status = "cancelled";
+  await applyPaymentEvent(paidEvent("plink_balance", "pay_2", 75000));
+
+  await applyPaymentEvent({
+    type: "refunded",
+    bookingId: String(booking._id),
+    refund: { id: "rfnd_1", paymentId: "pay_2", amount: 75000 },
+  });
+  assert.equal(booking.paymentStatus, "partially_paid");
+});
+
+test("an event for an unknown booking is ignored", async () => {
+  assert.equal(
+    await applyPaymentEvent({ type: "paid", bookingId: String(new mongoose.Types.ObjectId()), paymentId: "pay_9" }),
+    null
+  );
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../models/booking.js";
+import { buildSchedule, rebalanceSchedule, syncPaymentStatus } from "../utils/paymentSchedule.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-01T10:00:00Z");
+
+function booking(installments, amount = 100000) {
+  return new Booking({
+    name: "Asha",
+    email: "asha@example.com",
+    phone: "+919876543210",
+    package: new mongoose.Types.ObjectId(),
+    guests: 150,
+    date: "2026-12-20",
+    time: "18:00-23:00",
+    status: "approved",
+    amount,
+    installments,
+  });
+}
+
+test("buildSchedule splits the total into an advance now and the balance before the event", () => {
+  const [advance, balance, ...rest] = buildSchedule({
+    total: 100001,
+    eventDate: "2026-12-20",
+    advancePercent: 25,
+    balanceDueDays: 7,
+    now,
+  });
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(advance, { kind: "advance", amount: 25000, dueDate: now });
+  assert.equal(balance.kind, "balance");
+  assert.equal(balance.amount, 75001);
+  assert.equal(balance.dueDate.getTime(), new Date("2026-12-20").getTime() - 7 * DAY_MS);
+});
+
+test("buildSchedule asks for the full amount when the balance would already be due", () => {
+  const schedule = buildSchedule({
+    total: 100000,
+    eventDate: "2026-10-05",
+    advancePercent: 25,
+    balanceDueDays: 7,
+    now,
+  });
+  assert.deepEqual(schedule, [{ kind: "full", amount: 100000, dueDate: now }]);
+
+  const upfront = buildSchedule({
+    total: 100000,
+    eventDate: "2026-12-20",
+    advancePercent: 100,
+    balanceDueDays: 7,
+    now,
+  });
+  assert.deepEqual(upfront, [{ kind: "full", amount: 100000, dueDate: now }]);
+});
+
+test("syncPaymentStatus derives the payment fields from the installments", () => {
+  const doc = booking([
+    { kind: "advance", amount: 25000, dueDate: now, status: "paid", paymentId: "pay_1" },
+    { kind: "balance", amount: 75000, dueDate: now, status: "failed" },
+  ]);
+  doc.holdExpiresAt = new Date();
+
+  syncPaymentStatus(doc);
+  assert.equal(doc.amountPaid, 25000);
+  assert.equal(doc.paymentStatus, "partially_paid");
+  assert.equal(doc.isPaid, false);
+  assert.equal(doc.holdExpiresAt, undefined);
+
+  doc.installments[1].status = "paid";
+  syncPaymentStatus(doc);
+  assert.equal(doc.paymentStatus, "paid");
+  assert.equal(doc.isPaid, true);
+});
+
+test("rebalanceSchedule moves the open balance to the new date when the total is unchanged", () => {
+  const doc = booking([
+    { kind: "advance", amount: 25000, dueDate: now, status: "paid", paymentId: "pay_1" },
+    { kind: "balance", amount: 75000, dueDate: new Date("2026-12-13"), status: "pending", paymentLinkId: "plink_1" },
+  ]);
+
+  const result = rebalanceSchedule(doc, { total: 100000, eventDate: "2027-01-20", balanceDueDays: 7, now });
+
+  assert.deepEqual(result, { cancelled: [], created: [], overpaid: 0 });
+  assert.equal(doc.installments[1].status, "pending");
+  assert.equal(doc.installments[1].dueDate.getTime(), new Date("2027-01-13").getTime());
+});
+
+test("rebalanceSchedule replaces the open installments with one for what's left when the total changes", () => {
+  const doc = booking([
+    { kind: "advance", amount: 25000, dueDate: now, status: "paid", paymentId: "pay_1" },
+    { kind: "balance", amount: 75000, dueDate: new Date("2026-12-13"), status: "pending", paymentLinkId: "plink_1" },
+  ]);
+
+  const { cancelled, created, overpaid } = rebalanceSchedule(doc, {
+    total: 120000,
+    eventDate: "2026-12-20",
+    balanceDueDays: 7,
+    now,
+  });
+
+  assert.equal(cancelled.length, 1);
+  assert.equal(cancelled[0].status, "cancelled");
+  assert.equal(created.length, 1);
+  assert.equal(created[0].kind, "balance");
+  assert.equal(created[0].amount, 95000);
+  assert.ok(created[0]._id, "created installments are the booking's subdocuments");
+  assert.equal(overpaid, 0);
+  assert.equal(doc.amount, 120000);
+  assert.equal(doc.installments.length, 3);
+  assert.equal(doc.paymentStatus, "partially_paid");
+});
+
+test("rebalanceSchedule builds a fresh schedule when nothing was paid, and reports overpayment", () => {
+  const unpaid = booking([{ kind: "advance", amount: 25000, dueDate: now, status: "pending" }]);
+  const { created } = rebalanceSchedule(unpaid, { total: 80000, eventDate: "2026-12-20", balanceDueDays: 7, now });
+  assert.deepEqual(
+    created.map((i) => [i.kind, i.amount]),
+    [
+      ["advance", 20000],
+      ["balance", 60000],
+    ]
+  );
+
+  const paid = booking([{ kind: "full", amount: 100000, dueDate: now, status: "paid", paymentId: "pay_1" }]);
+  const result = rebalanceSchedule(paid, { total: 90000, eventDate: "2026-12-20", balanceDueDays: 7, now });
+  assert.deepEqual(result.created, []);
+  assert.equal(result.overpaid, 10000);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeQuote, pickTier, QuoteError } from "../utils/pricing.js";
+
+const perPerson = {
+  _id: "pkg_1",
+  name: "Silver",
+  category: "wedding",
+  pricingType: "perPerson",
+  perPersonPricing: [
+    { peopleCount: 300, price: 150000 },
+    { peopleCount: 100, price: 60000 },
+    { peopleCount: 200, price: 110000 },
+  ],
+};
+
+test("pickTier picks the smallest tier that fits the guests", () => {
+  assert.equal(pickTier(perPerson.perPersonPricing, 100).peopleCount, 100);
+  assert.equal(pickTier(perPerson.perPersonPricing, 101).peopleCount, 200);
+  assert.equal(pickTier(perPerson.perPersonPricing, 301), null);
+  assert.equal(pickTier(undefined, 10), null);
+});
+
+test("a per-person package is quoted at its tier price", () => {
+  const quote = computeQuote({ pkg: perPerson, guests: "150", date: "2026-12-20" });
+
+  assert.equal(quote.guests, 150);
+  assert.deepEqual(quote.tier, { peopleCount: 200, price: 110000 });
+  assert.deepEqual(quote.items, [{ label: "Silver (up to 200 guests)", amount: 110000 }]);
+  assert.equal(quote.total, 110000);
+  assert.equal(quote.manualPricingRequired, false);
+});
+
+test("a fixed package is quoted at its fixed price whatever the guest count", () => {
+  const quote = computeQuote({ pkg: { name: "Hall only", pricingType: "fixed", fixedPrice: 50000 }, guests: 500 });
+
+  assert.equal(quote.total, 50000);
+  assert.equal(quote.tier, null);
+});
+
+test("a custom package needs manual pricing", () => {
+  const quote = computeQuote({ pkg: { name: "Bespoke", pricingType: "custom" }, guests: 80 });
+
+  assert.equal(quote.manualPricingRequired, true);
+  assert.equal(quote.total, null);
+  assert.deepEqual(quote.items, []);
+});
+
+test("invalid input is rejected with a QuoteError", () => {
+  assert.throws(
+    () => computeQuote({ pkg: null, guests: 10 }),
+    (err) => err instanceof QuoteError && err.status === 404
+  );
+  assert.throws(() => computeQuote({ pkg: perPerson, guests: 0 }), {
+    name: "QuoteError",
+    message: "Valid guest count is required",
+  });
+  assert.throws(() => computeQuote({ pkg: perPerson, guests: 2.5 }), { name: "QuoteError" });
+  assert.throws(() => computeQuote({ pkg: perPerson, guests: 301 }), {
+    name: "QuoteError",
+    message: "Guest count exceeds the largest tier for this package (300 people)",
+  });
+  assert.throws(
+    () => computeQuote({ pkg: { name: "Hall only", pricingType: "fixed" }, guests: 10 }),
+    (err) => err.status === 422
+  );
+});
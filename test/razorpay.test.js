@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createRazorpayProvider } from "../utils/paymentProviders/razorpay.js";
+
+const SECRET = "whsec_test";
+const env = {};
+let provider;
+
+beforeEach(() => {
+  for (const key of ["RAZORPAY_KEY_ID", "RAZORPAY_KEY_SECRET", "RAZORPAY_WEBHOOK_SECRET"]) env[key] = process.env[key];
+  process.env.RAZORPAY_KEY_ID = "rzp_test_key";
+  process.env.RAZORPAY_KEY_SECRET = "rzp_test_secret";
+  process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  provider = createRazorpayProvider();
+});
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+const sign = (body, secret = SECRET) => crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+test("a webhook signed with the secret is parsed", () => {
+  const body = Buffer.from(JSON.stringify({ event: "payment.captured" }));
+  assert.deepEqual(provider.verifyWebhook(body, { "x-razorpay-signature": sign(body) }), { event: "payment.captured" });
+});
+
+test("a webhook with a missing or wrong signature is rejected", () => {
+  const body = Buffer.from(JSON.stringify({ event: "payment.captured" }));
+
+  assert.equal(provider.verifyWebhook(body, {}), null);
+  assert.equal(provider.verifyWebhook(body, { "x-razorpay-signature": sign(body, "other") }), null);
+  assert.equal(provider.verifyWebhook(body, { "x-razorpay-signature": "short" }), null);
+  assert.equal(
+    provider.verifyWebhook(Buffer.from('{"event":"refund.processed"}'), { "x-razorpay-signature": sign(body) }),
+    null
+  );
+
+  delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  assert.equal(provider.verifyWebhook(body, { "x-razorpay-signature": sign(body) }), null);
+});
+
+test("payment events are normalized with the booking and installment from the notes", () => {
+  const notes = { bookingId: "b1", installmentId: "i1" };
+
+  assert.deepEqual(
+    provider.normalizeEvent({
+      event: "payment.captured",
+      payload: { payment: { entity: { id: "pay_1", amount: 25000, notes } } },
+    }),
+    { type: "paid", bookingId: "b1", installmentId: "i1", paymentId: "pay_1", amount: 25000 }
+  );
+  assert.equal(
+    provider.normalizeEvent({
+      event: "payment.failed",
+      payload: { payment: { entity: { id: "pay_2", amount: 25000, notes } } },
+    }).type,
+    "failed"
+  );
+});
+
+test("payment link events carry the link id, and the paid amount when there's no payment", () => {
+  const paymentLink = { id: "plink_1", amount_paid: 25000, notes: { bookingId: "b1", installmentId: "i1" } };
+
+  assert.deepEqual(
+    provider.normalizeEvent({
+      event: "payment_link.paid",
+      payload: { payment_link: { entity: paymentLink }, payment: { entity: { id: "pay_1", amount: 25000 } } },
+    }),
+    { type: "paid", bookingId: "b1", installmentId: "i1", paymentLinkId: "plink_1", paymentId: "pay_1", amount: 25000 }
+  );
+  assert.deepEqual(
+    provider.normalizeEvent({
+      event: "payment_link.expired",
+      payload: { payment_link: { entity: { ...paymentLink, amount_paid: 0 } } },
+    }),
+    {
+      type: "expired",
+      bookingId: "b1",
+      installmentId: "i1",
+      paymentLinkId: "plink_1",
+      paymentId: undefined,
+      amount: 0,
+    }
+  );
+});
+
+test("refund events are normalized, anything else is ignored", () => {
+  const refund = { id: "rfnd_1", payment_id: "pay_1", amount: 10000, notes: { bookingId: "b1" } };
+
+  assert.deepEqual(provider.normalizeEvent({ event: "refund.processed", payload: { refund: { entity: refund } } }), {
+    type: "refunded",
+    bookingId: "b1",
+    paymentId: "pay_1",
+    refund: { id: "rfnd_1", paymentId: "pay_1", amount: 10000 },
+  });
+  assert.equal(provider.normalizeEvent({ event: "order.paid", payload: {} }), null);
+});
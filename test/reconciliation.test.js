@@ -0,0 +1,146 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../models/booking.js";
+import ReconciliationReport from "../models/reconciliationReport.js";
+import { reconcilePayments } from "../utils/reconciliation.js";
+
+// No database: the queries reconcilePayments and applyPaymentEvent make are answered from memory
+let booking;
+const originals = {
+  find: Booking.find,
+  findById: Booking.findById,
+  saveReport: ReconciliationReport.prototype.save,
+};
+
+function approvedBooking() {
+  const doc = new Booking({
+    name: "Asha",
+    email: "asha@example.com",
+    phone: "+919876543210",
+    package: new mongoose.Types.ObjectId(),
+    guests: 150,
+    date: "2026-12-20",
+    time: "18:00-23:00",
+    status: "approved",
+    amount: 100000,
+    installments: [
+      { kind: "advance", amount: 25000, dueDate: new Date(), provider: "razorpay", paymentLinkId: "plink_advance" },
+      { kind: "balance", amount: 75000, dueDate: new Date(), provider: "razorpay", paymentLinkId: "plink_balance" },
+    ],
+  });
+  doc.save = async function () {
+    return this;
+  };
+  return doc;
+}
+
+// Provider stub: fetchPaymentLink answers from `links`, anything not listed is still pending
+function stubProvider(links) {
+  return () => ({
+    fetchPaymentLink: async (id) => links[id] || { status: "pending", amountPaid: 0 },
+  });
+}
+
+function afterPaymentSpy() {
+  const calls = [];
+  const spy = async (result, options) => calls.push({ result, options });
+  spy.calls = calls;
+  return spy;
+}
+
+beforeEach(() => {
+  booking = approvedBooking();
+  Booking.find = async () => [booking];
+  Booking.findById = async (id) => (String(id) === String(booking._id) ? booking : null);
+  ReconciliationReport.prototype.save = async function () {
+    return this;
+  };
+});
+
+afterEach(() => {
+  Booking.find = originals.find;
+  Booking.findById = originals.findById;
+  ReconciliationReport.prototype.save = originals.saveReport;
+});
+
+test("a link paid at the provider marks its installment paid and runs the payment follow-up", async () => {
+  const afterPayment = afterPaymentSpy();
+  const report = await reconcilePayments({
+    getProvider: stubProvider({ plink_advance: { status: "paid", paymentId: "pay_1", amountPaid: 25000 } }),
+    afterPayment,
+  });
+
+  const [advance, balance] = booking.installments;
+  assert.equal(advance.status, "paid");
+  assert.equal(advance.paymentId, "pay_1");
+  assert.equal(balance.status, "pending");
+  assert.equal(booking.paymentStatus, "partially_paid");
+  assert.equal(booking.amountPaid, 25000);
+
+  assert.equal(report.bookingsChecked, 1);
+  assert.equal(report.installmentsChecked, 2);
+  assert.equal(report.discrepancies.length, 1);
+  assert.equal(report.discrepancies[0].action, "fixed");
+  assert.equal(report.discrepancies[0].providerStatus, "paid");
+
+  assert.equal(afterPayment.calls.length, 1);
+  assert.equal(afterPayment.calls[0].result.paid, true);
+  assert.equal(afterPayment.calls[0].result.booking, booking);
+  assert.equal(afterPayment.calls[0].options.event, "reconciliation");
+});
+
+test("an expired link marks its installment expired without confirming a payment", async () => {
+  const afterPayment = afterPaymentSpy();
+  const report = await reconcilePayments({
+    getProvider: stubProvider({ plink_balance: { status: "expired", amountPaid: 0 } }),
+    afterPayment,
+  });
+
+  assert.equal(booking.installments[1].status, "expired");
+  assert.equal(booking.paymentStatus, "unpaid");
+  assert.equal(report.discrepancies.length, 1);
+  assert.equal(report.discrepancies[0].action, "fixed");
+  assert.equal(afterPayment.calls.length, 1);
+  assert.equal(afterPayment.calls[0].result.paid, false);
+});
+
+test("a link paid for a different amount is reported, not applied", async () => {
+  const afterPayment = afterPaymentSpy();
+  const report = await reconcilePayments({
+    getProvider: stubProvider({ plink_advance: { status: "paid", paymentId: "pay_2", amountPaid: 20000 } }),
+    afterPayment,
+  });
+
+  assert.equal(booking.installments[0].status, "pending");
+  assert.equal(booking.amountPaid, 0);
+  assert.equal(report.discrepancies.length, 1);
+  const [entry] = report.discrepancies;
+  assert.equal(entry.action, "reported");
+  assert.equal(entry.amountExpected, 25000);
+  assert.equal(entry.amountPaid, 20000);
+  assert.equal(afterPayment.calls.length, 0);
+});
+
+test("links still pending at the provider are left alone", async () => {
+  const afterPayment = afterPaymentSpy();
+  const report = await reconcilePayments({ getProvider: stubProvider({}), afterPayment });
+
+  assert.equal(report.installmentsChecked, 2);
+  assert.equal(report.discrepancies.length, 0);
+  assert.equal(afterPayment.calls.length, 0);
+});
+
+test("a provider error is recorded on the report", async () => {
+  const report = await reconcilePayments({
+    getProvider: () => ({
+      fetchPaymentLink: async () => {
+        throw new Error("Provider unavailable");
+      },
+    }),
+    afterPayment: afterPaymentSpy(),
+  });
+
+  assert.equal(report.discrepancies.length, 2);
+  assert.ok(report.discrepancies.every((d) => d.action === "error" && d.error === "Provider unavailable"));
+});
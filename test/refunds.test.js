@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeRefund, getNonRefundablePercent } from "../utils/refunds.js";
+
+// computeRefund only reads plain fields, so bookings here are plain objects
+function paidBooking(overrides = {}) {
+  return {
+    amount: 100000,
+    amountPaid: 100000,
+    paymentProvider: "razorpay",
+    packageSnapshot: { nonRefundablePercent: 25 },
+    installments: [
+      {
+        _id: "inst_advance",
+        kind: "advance",
+        amount: 25000,
+        status: "paid",
+        paymentId: "pay_1",
+        paidAt: new Date("2026-09-01"),
+      },
+      {
+        _id: "inst_balance",
+        kind: "balance",
+        amount: 75000,
+        status: "paid",
+        paymentId: "pay_2",
+        paidAt: new Date("2026-10-01"),
+        provider: "stripe",
+      },
+    ],
+    refunds: [],
+    ...overrides,
+  };
+}
+
+test("the non-refundable percent comes from the package, then its terms", () => {
+  assert.equal(getNonRefundablePercent({ nonRefundablePercent: 10, terms: ["25% is non-refundable"] }), 10);
+  assert.equal(getNonRefundablePercent({ terms: ["Taxes extra", "25% of the booking amount is non-refundable"] }), 25);
+  assert.equal(getNonRefundablePercent({ terms: ["No refunds after the event"] }), 0);
+  assert.equal(getNonRefundablePercent(undefined), 0);
+});
+
+test("what was paid above the non-refundable part is refunded, latest payment first", () => {
+  const refund = computeRefund(paidBooking());
+
+  assert.equal(refund.nonRefundablePercent, 25);
+  assert.equal(refund.nonRefundableAmount, 25000);
+  assert.equal(refund.refundableAmount, 75000);
+  assert.deepEqual(refund.allocations, [
+    { installmentId: "inst_balance", provider: "stripe", paymentId: "pay_2", amount: 75000 },
+  ]);
+});
+
+test("a refund larger than the latest payment is spread over earlier ones", () => {
+  const refund = computeRefund(paidBooking({ packageSnapshot: { nonRefundablePercent: 10 } }));
+
+  assert.equal(refund.refundableAmount, 90000);
+  assert.deepEqual(
+    refund.allocations.map((a) => [a.paymentId, a.amount, a.provider]),
+    [
+      ["pay_2", 75000, "stripe"],
+      ["pay_1", 15000, "razorpay"],
+    ]
+  );
+});
+
+test("nothing is refunded when only the non-refundable part was paid", () => {
+  const booking = paidBooking({ amountPaid: 25000 });
+  booking.installments[1].status = "pending";
+
+  const refund = computeRefund(booking);
+  assert.equal(refund.refundableAmount, 0);
+  assert.deepEqual(refund.allocations, []);
+});
+
+test("refunds already issued are not allocated again", () => {
+  const refund = computeRefund(paidBooking({ refunds: [{ paymentId: "pay_2", amount: 50000 }] }));
+
+  assert.equal(refund.refundableAmount, 75000);
+  assert.deepEqual(refund.allocations, [
+    { installmentId: "inst_balance", provider: "stripe", paymentId: "pay_2", amount: 25000 },
+  ]);
+});
@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Admin from "../models/Admin.js";
+import RefreshToken from "../models/refreshToken.js";
+import { CUSTOMER_AUDIENCE } from "./customerAuth.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+/**
+ * Token lifetimes, overridable with env:
+ *  - ADMIN_ACCESS_TOKEN_TTL: access JWT lifetime (default "15m")
+ *  - ADMIN_REFRESH_TOKEN_DAYS: refresh token lifetime (default 7)
+ *  - ADMIN_INVITE_HOURS: invitation link lifetime (default 72)
+ *  - ADMIN_RESET_MINUTES: password reset link lifetime (default 30)
+ */
+export function inviteHours() {
+  return Number(process.env.ADMIN_INVITE_HOURS) || 72;
+}
+
+export function resetMinutes() {
+  return Number(process.env.ADMIN_RESET_MINUTES) || 30;
+}
+
+function refreshTokenDays() {
+  return Number(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 7;
+}
+
+export function generateInviteToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+export function hashInviteToken(token) {
+  return sha256(token);
+}
+
+/**
+ * Password reset token: the plain value goes out by email, its hash is stored on the admin.
+ */
+export function generateResetToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: sha256(token) };
+}
+
+export function findAdminByResetToken(token) {
+  if (!token) return null;
+  return Admin.findOne({ resetTokenHash: sha256(token), resetExpiresAt: { $gt: new Date() } });
+}
+
+/**
+ * Calendar feed token: sent in the subscription URL, which calendar apps poll without logging in.
+ * Its hash is stored on the admin; it stops working when replaced, removed or the admin is deactivated.
+ */
+export function generateCalendarToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: sha256(token) };
+}
+
+export function findAdminByCalendarToken(token) {
+  if (!token) return null;
+  return Admin.findOne({ calendarTokenHash: sha256(token), isActive: true, password: { $exists: true } });
+}
+
+// `sv` ties the token to the admin's sessionVersion so it can be revoked before it expires
+export function signAdminToken(admin) {
+  return jwt.sign(
+    { id: admin._id, email: admin.email, role: admin.role, sv: admin.sessionVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ADMIN_ACCESS_TOKEN_TTL || "15m" }
+  );
+}
+
+// Helper: store a new refresh token in `family` and return its plain value
+async function createRefreshToken(admin, { family, ip, userAgent }) {
+  const token = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    admin: admin._id,
+    tokenHash: sha256(token),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * HOUR_MS),
+    createdByIp: ip,
+    userAgent,
+  });
+  return { token, doc };
+}
+
+/**
+ * Start a session after login: { token, refreshToken, role }.
+ */
+export async function issueSession(admin, req) {
+  const { token: refreshToken } = await createRefreshToken(admin, {
+    family: crypto.randomUUID(),
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+  return { token: signAdminToken(admin), refreshToken, role: admin.role };
+}
+
+/**
+ * Helper: rotateSession
+ * Swaps a refresh token for a new access + refresh token pair; the old one is revoked.
+ * Presenting an already revoked token means it leaked: its whole family is revoked.
+ * Returns the new session, or null if the token is invalid.
+ */
+export async function rotateSession(refreshToken, req) {
+  if (!refreshToken) return null;
+  const current = await RefreshToken.findOne({ tokenHash: sha256(refreshToken) });
+  if (!current || current.expiresAt <= new Date()) return null;
+
+  if (current.revokedAt) {
+    if (current.revokedReason === "rotated") await revokeFamily(current.family, "reuse");
+    return null;
+  }
+
+  const admin = await Admin.findById(current.admin);
+  if (!admin || !admin.isActive || !admin.password) return null;
+
+  // Revoke first (conditionally) so two concurrent refreshes with the same token can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+  if (!claimed) return null;
+
+  const { token: nextToken, doc } = await createRefreshToken(admin, {
+    family: current.family,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+  await RefreshToken.updateOne({ _id: current._id }, { replacedBy: doc._id });
+
+  return { token: signAdminToken(admin), refreshToken: nextToken, role: admin.role };
+}
+
+function revokeFamily(family, reason) {
+  return RefreshToken.updateMany({ family, revokedAt: { $exists: false } }, { revokedAt: new Date(), revokedReason: reason });
+}
+
+/**
+ * Logout: revoke the session (refresh token family) `refreshToken` belongs to.
+ * Returns the admin id it belonged to, or null if unknown.
+ */
+export async function revokeSession(refreshToken) {
+  if (!refreshToken) return null;
+  const current = await RefreshToken.findOne({ tokenHash: sha256(refreshToken) });
+  if (!current) return null;
+  await revokeFamily(current.family, "logout");
+  return current.admin;
+}
+
+/**
+ * Sign an admin out everywhere: revokes every refresh token and invalidates issued access tokens.
+ * Used on password change/reset and deactivation (caller saves the admin).
+ */
+export async function revokeAllSessions(admin, reason) {
+  admin.sessionVersion = (admin.sessionVersion || 0) + 1;
+  await RefreshToken.updateMany(
+    { admin: admin._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// --- Middleware: Verify Admin Token ---
+// The account is looked up on every request so deactivation, role changes and revoked sessions apply straight away
+export function verifyAdmin(req, res, next) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return res.status(403).json({ message: "No token provided" });
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    // Customer portal tokens are signed with the same secret but never grant admin access
+    if (err || decoded.aud === CUSTOMER_AUDIENCE) return res.status(401).json({ message: "Unauthorized" });
+
+    try {
+      const admin = await Admin.findById(decoded.id);
+      if (!admin || !admin.isActive || !admin.password) return res.status(401).json({ message: "Unauthorized" });
+      if ((decoded.sv || 0) !== (admin.sessionVersion || 0)) return res.status(401).json({ message: "Session revoked" });
+
+      req.admin = { id: admin._id.toString(), email: admin.email, role: admin.role };
+      next();
+    } catch (error) {
+      console.error("Verify admin error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+}
+
+// --- Middleware: Require one of `roles` (use after verifyAdmin) ---
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.admin?.role)) {
+      return res.status(403).json({ message: "You don't have permission to do this" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,386 @@
+import Booking from "../models/booking.js";
+import Package from "../models/package.js";
+import Slot from "../models/slot.js";
+import { normalizeDateString, dayRange, utcOffsetMinutes } from "./availability.js";
+
+/**
+ * Admin analytics, each built as one MongoDB aggregation over bookings.
+ * Amounts are returned in rupees; months and financial years are in the hall's local time.
+ */
+
+export class AnalyticsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.status = status;
+  }
+}
+
+const CONFIRMED_STATUSES = ["approved", "completed"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const toRupees = (paise) => Math.round(paise || 0) / 100;
+const toHours = (ms) => (ms == null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// "+05:30" for $dateToString / $month
+function timezone() {
+  const offset = utcOffsetMinutes();
+  const abs = Math.abs(offset);
+  return `${offset < 0 ? "-" : "+"}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD (both days included).
+ * Defaults to the current financial year (April–March). Throws AnalyticsError on bad input.
+ */
+export function parseDateRange({ from, to } = {}, now = new Date()) {
+  const fyStart = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  const fromDay = from ? normalizeDateString(from) : `${fyStart}-04-01`;
+  const toDay = to ? normalizeDateString(to) : `${fyStart + 1}-03-31`;
+  if (!fromDay || !toDay) throw new AnalyticsError("Invalid date (expected YYYY-MM-DD)");
+  if (fromDay > toDay) throw new AnalyticsError("from must be on or before to");
+
+  return {
+    from: fromDay,
+    to: toDay,
+    // Booking dates are stored as UTC midnight of the local date; timestamps are compared in local time
+    dates: { $gte: dayRange(fromDay).start, $lte: dayRange(toDay).end },
+    instants: {
+      $gte: new Date(dayRange(fromDay).start.getTime() - utcOffsetMinutes() * 60 * 1000),
+      $lte: new Date(dayRange(toDay).end.getTime() - utcOffsetMinutes() * 60 * 1000),
+    },
+  };
+}
+
+// Helper: group key for a date field — "2026-10" by month, "2026-27" by financial year
+// (booking dates are stored as UTC midnight of the local date, so they're read in UTC)
+function periodOf(field, groupBy, tz = timezone()) {
+  if (groupBy !== "financialYear") return { $dateToString: { format: "%Y-%m", date: field, timezone: tz } };
+
+  const year = { $year: { date: field, timezone: tz } };
+  const start = { $cond: [{ $gte: [{ $month: { date: field, timezone: tz } }, 4] }, year, { $subtract: [year, 1] }] };
+  return { $concat: [{ $toString: start }, "-", { $substrCP: [{ $toString: { $add: [start, 1] } }, 2, 2] }] };
+}
+
+/**
+ * Helper: revenueReport
+ * Per month (or financial year):
+ *  - booked / outstanding: confirmed bookings by event date (outstanding = still to be paid)
+ *  - collected: payments by the date they were received
+ *  - refunded: refunds by the date they were issued; net = collected - refunded
+ */
+export async function revenueReport({ range, groupBy = "month" }) {
+  const period = (field, tz) => periodOf(field, groupBy, tz);
+  const paidInRange = (path) => ({ $and: [{ $gte: [path, range.instants.$gte] }, { $lte: [path, range.instants.$lte] }] });
+
+  const [facets] = await Booking.aggregate([
+    {
+      $facet: {
+        booked: [
+          { $match: { status: { $in: CONFIRMED_STATUSES }, date: range.dates } },
+          {
+            $group: {
+              _id: period("$date", "UTC"),
+              bookings: { $sum: 1 },
+              booked: { $sum: "$amount" },
+              outstanding: { $sum: { $max: [{ $subtract: ["$amount", { $ifNull: ["$amountPaid", 0] }] }, 0] } },
+            },
+          },
+        ],
+        collected: [
+          { $match: { $or: [{ "installments.paidAt": range.instants }, { paidAt: range.instants }] } },
+          {
+            $project: {
+              payments: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ["$installments", []] } }, 0] },
+                  {
+                    $filter: {
+                      input: "$installments",
+                      as: "i",
+                      cond: { $and: [{ $eq: ["$$i.status", "paid"] }, paidInRange("$$i.paidAt")] },
+                    },
+                  },
+                  // Bookings from before payment schedules were paid in one go
+                  [{ amount: "$amountPaid", paidAt: "$paidAt" }],
+                ],
+              },
+            },
+          },
+          { $unwind: "$payments" },
+          { $match: { "payments.paidAt": range.instants } },
+          { $group: { _id: period("$payments.paidAt"), payments: { $sum: 1 }, collected: { $sum: "$payments.amount" } } },
+        ],
+        refunded: [
+          { $match: { "refunds.createdAt": range.instants } },
+          { $unwind: "$refunds" },
+          { $match: { "refunds.createdAt": range.instants } },
+          { $group: { _id: period("$refunds.createdAt"), refunds: { $sum: 1 }, refunded: { $sum: "$refunds.amount" } } },
+        ],
+      },
+    },
+  ]);
+
+  const periods = new Map();
+  const row = (key) => {
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, bookings: 0, booked: 0, outstanding: 0, payments: 0, collected: 0, refunds: 0, refunded: 0 });
+    }
+    return periods.get(key);
+  };
+  for (const facet of ["booked", "collected", "refunded"]) {
+    for (const { _id, ...values } of facets[facet]) Object.assign(row(_id), values);
+  }
+
+  const rows = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+  const totals = rows.reduce(
+    (sum, r) => {
+      for (const key of Object.keys(sum)) sum[key] += r[key];
+      return sum;
+    },
+    { bookings: 0, booked: 0, outstanding: 0, payments: 0, collected: 0, refunds: 0, refunded: 0 }
+  );
+  const money = (r) => ({
+    ...r,
+    booked: toRupees(r.booked),
+    outstanding: toRupees(r.outstanding),
+    collected: toRupees(r.collected),
+    refunded: toRupees(r.refunded),
+    net: toRupees(r.collected - r.refunded),
+  });
+
+  return { from: range.from, to: range.to, groupBy, periods: rows.map(money), totals: money(totals) };
+}
+
+/**
+ * Helper: occupancyReport
+ * Confirmed bookings in the range by event date, slot or month. A day's capacity is one unit
+ * per active slot (one unit when there are no slots); a whole-day booking takes all of them.
+ * occupancyRate = booked units / capacity.
+ */
+export async function occupancyReport({ range, groupBy = "date" }) {
+  const slots = await Slot.find({ isActive: true }).select("name startTime endTime");
+  const unitsPerDay = Math.max(slots.length, 1);
+  const daysInRange = Math.round((dayRange(range.to).start - dayRange(range.from).start) / DAY_MS) + 1;
+  const match = { $match: { status: { $in: CONFIRMED_STATUSES }, date: range.dates } };
+
+  if (groupBy === "slot") {
+    const rows = await Booking.aggregate([
+      match,
+      { $group: { _id: "$slot", bookings: { $sum: 1 }, guests: { $sum: "$guests" } } },
+      { $lookup: { from: Slot.collection.name, localField: "_id", foreignField: "_id", as: "slot" } },
+      { $set: { slot: { $first: "$slot" } } },
+      { $sort: { "slot.startTime": 1 } },
+    ]);
+    const wholeDay = rows.find((r) => !r._id)?.bookings || 0;
+    return {
+      from: range.from,
+      to: range.to,
+      groupBy,
+      days: daysInRange,
+      slots: rows.map((r) => ({
+        slot: r._id ? { _id: r._id, name: r.slot?.name, startTime: r.slot?.startTime, endTime: r.slot?.endTime } : null,
+        label: r._id ? r.slot?.name || "Removed slot" : "Whole day",
+        bookings: r.bookings,
+        guests: r.guests,
+        // Whole-day bookings also fill every slot
+        occupancyRate: ratio(r._id ? r.bookings + wholeDay : r.bookings, daysInRange),
+      })),
+    };
+  }
+
+  // Units booked per day: all of them for a whole-day booking, else one per distinct slot
+  const perDay = [
+    match,
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$date", timezone: "UTC" } },
+        bookings: { $sum: 1 },
+        guests: { $sum: "$guests" },
+        wholeDay: { $max: { $cond: [{ $ifNull: ["$slot", false] }, 0, 1] } },
+        slots: { $addToSet: "$slot" },
+      },
+    },
+    {
+      $set: {
+        units: { $cond: [{ $eq: ["$wholeDay", 1] }, unitsPerDay, { $min: [{ $size: "$slots" }, unitsPerDay] }] },
+      },
+    },
+  ];
+
+  if (groupBy === "month") {
+    const rows = await Booking.aggregate([
+      ...perDay,
+      {
+        $group: {
+          _id: { $substrCP: ["$_id", 0, 7] },
+          bookings: { $sum: "$bookings" },
+          guests: { $sum: "$guests" },
+          bookedDays: { $sum: 1 },
+          units: { $sum: "$units" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+    return {
+      from: range.from,
+      to: range.to,
+      groupBy,
+      unitsPerDay,
+      months: rows.map(({ _id, ...r }) => {
+        const days = daysOfMonthInRange(_id, range);
+        return { month: _id, ...r, days, occupancyRate: ratio(r.units, days * unitsPerDay) };
+      }),
+    };
+  }
+
+  const rows = await Booking.aggregate([...perDay, { $sort: { _id: 1 } }]);
+  const units = rows.reduce((sum, r) => sum + r.units, 0);
+  return {
+    from: range.from,
+    to: range.to,
+    groupBy: "date",
+    unitsPerDay,
+    occupancyRate: ratio(units, daysInRange * unitsPerDay),
+    dates: rows.map(({ _id, slots: _slots, wholeDay, ...r }) => ({
+      date: _id,
+      ...r,
+      wholeDay: wholeDay === 1,
+      occupancyRate: ratio(r.units, unitsPerDay),
+    })),
+  };
+}
+
+// Helper: how many days of "YYYY-MM" fall inside the range
+function daysOfMonthInRange(month, range) {
+  const [year, m] = month.split("-").map(Number);
+  const first = `${month}-01`;
+  const last = `${month}-${String(new Date(Date.UTC(year, m, 0)).getUTCDate()).padStart(2, "0")}`;
+  const start = first < range.from ? range.from : first;
+  const end = last > range.to ? range.to : last;
+  return Math.round((dayRange(end).start - dayRange(start).start) / DAY_MS) + 1;
+}
+
+/**
+ * Helper: packageReport
+ * Bookings with an event date in the range, by package and by category: requests, confirmed,
+ * cancelled, booked and collected revenue and average guests. Named from the package as booked.
+ */
+export async function packageReport({ range }) {
+  const confirmed = { $in: ["$status", CONFIRMED_STATUSES] };
+  const metrics = {
+    requests: { $sum: 1 },
+    confirmed: { $sum: { $cond: [confirmed, 1, 0] } },
+    cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+    booked: { $sum: { $cond: [confirmed, "$amount", 0] } },
+    collected: { $sum: { $ifNull: ["$amountPaid", 0] } },
+    avgGuests: { $avg: "$guests" },
+  };
+
+  const [facets] = await Booking.aggregate([
+    { $match: { date: range.dates } },
+    { $lookup: { from: Package.collection.name, localField: "package", foreignField: "_id", as: "current" } },
+    {
+      $set: {
+        packageName: { $ifNull: ["$packageSnapshot.name", { $first: "$current.name" }] },
+        category: { $ifNull: ["$packageSnapshot.category", { $first: "$current.category" }] },
+      },
+    },
+    {
+      $facet: {
+        byPackage: [
+          { $group: { _id: "$package", name: { $last: "$packageName" }, category: { $last: "$category" }, ...metrics } },
+          { $sort: { confirmed: -1, requests: -1 } },
+        ],
+        byCategory: [{ $group: { _id: "$category", ...metrics } }, { $sort: { confirmed: -1, requests: -1 } }],
+      },
+    },
+  ]);
+
+  const format = (r) => ({
+    ...r,
+    booked: toRupees(r.booked),
+    collected: toRupees(r.collected),
+    avgGuests: r.avgGuests == null ? null : Math.round(r.avgGuests),
+    conversionRate: ratio(r.confirmed, r.requests),
+  });
+
+  return {
+    from: range.from,
+    to: range.to,
+    packages: facets.byPackage.map(({ _id, ...r }) => format({ package: _id, ...r })),
+    categories: facets.byCategory.map(({ _id, ...r }) => format({ category: _id || "Uncategorised", ...r })),
+  };
+}
+
+/**
+ * Helper: funnelReport
+ * Booking requests made in the range, followed through approval, first payment (usually the
+ * advance) and full payment, with each stage's conversion rate and average hours from the
+ * previous one. `outcomes` counts where the requests are now.
+ */
+export async function funnelReport({ range }) {
+  const paidAts = {
+    $map: {
+      input: { $filter: { input: { $ifNull: ["$installments", []] }, as: "i", cond: { $eq: ["$$i.status", "paid"] } } },
+      as: "i",
+      in: "$$i.paidAt",
+    },
+  };
+  const elapsed = (to, from) => ({ $cond: [{ $and: [to, from] }, { $subtract: [to, from] }, null] });
+
+  const [result] = await Booking.aggregate([
+    { $match: { createdAt: range.instants } },
+    {
+      $project: {
+        status: 1,
+        createdAt: 1,
+        approvedAt: 1,
+        paidAt: 1,
+        // Bookings from before payment schedules only have paidAt
+        firstPaymentAt: { $ifNull: [{ $min: paidAts }, "$paidAt"] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        requested: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $ifNull: ["$approvedAt", false] }, 1, 0] } },
+        paid: { $sum: { $cond: [{ $ifNull: ["$firstPaymentAt", false] }, 1, 0] } },
+        fullyPaid: { $sum: { $cond: [{ $ifNull: ["$paidAt", false] }, 1, 0] } },
+        toApproval: { $avg: elapsed("$approvedAt", "$createdAt") },
+        toFirstPayment: { $avg: elapsed("$firstPaymentAt", "$approvedAt") },
+        toFullPayment: { $avg: elapsed("$paidAt", "$firstPaymentAt") },
+        pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } },
+        confirmed: { $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const r = result || { requested: 0, approved: 0, paid: 0, fullyPaid: 0 };
+  return {
+    from: range.from,
+    to: range.to,
+    stages: [
+      { stage: "requested", count: r.requested },
+      { stage: "approved", count: r.approved, rate: ratio(r.approved, r.requested), avgHours: toHours(r.toApproval) },
+      { stage: "paid", count: r.paid, rate: ratio(r.paid, r.approved), avgHours: toHours(r.toFirstPayment) },
+      { stage: "fullyPaid", count: r.fullyPaid, rate: ratio(r.fullyPaid, r.paid), avgHours: toHours(r.toFullPayment) },
+    ],
+    overallRate: ratio(r.fullyPaid, r.requested),
+    outcomes: {
+      pending: r.pending || 0,
+      approved: r.confirmed || 0,
+      completed: r.completed || 0,
+      rejected: r.rejected || 0,
+      expired: r.expired || 0,
+      cancelled: r.cancelled || 0,
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import Booking from "../models/booking.js";
+import { normalizeDateString, dayRange } from "./availability.js";
+
+/**
+ * Helper: completePastBookings
+ * Archives bookings whose event date has passed instead of deleting them:
+ *  - approved → "completed" (kept for accounting and repeat-customer lookups)
+ *  - pending (never acted on) → "expired"
+ * Both drop out of availability checks. Returns { completed, expired } counts.
+ */
+export async function completePastBookings({ now = new Date() } = {}) {
+  const startOfToday = dayRange(normalizeDateString(now)).start;
+  const past = { date: { $lt: startOfToday } };
+
+  const completed = await Booking.updateMany(
+    { ...past, status: "approved" },
+    { $set: { status: "completed", completedAt: now }, $unset: { slotKey: 1, holdExpiresAt: 1 } }
+  );
+  const expired = await Booking.updateMany(
+    { ...past, status: "pending" },
+    { $set: { status: "expired", expiredAt: now }, $unset: { slotKey: 1, holdExpiresAt: 1 } }
+  );
+
+  return { completed: completed.modifiedCount, expired: expired.modifiedCount };
+}
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.js";
+
+// Never copied into the log
+const OMITTED_PATHS = new Set(["password", "inviteTokenHash", "resetTokenHash", "calendarTokenHash", "__v", "updatedAt"]);
+
+/**
+ * Plain JSON copy of a document (or object) for diffing: ObjectIds → strings, dates → ISO strings.
+ */
+export function auditSnapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Field-level diff between two snapshots → [{ path, before, after }].
+ * Nested objects are walked; arrays are compared (and recorded) as a whole.
+ */
+export function diffSnapshots(before, after, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (OMITTED_PATHS.has(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffSnapshots(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Helper: recordAudit
+ * Appends an audit entry for the admin on `req` (set by verifyAdmin).
+ * `before` / `after` are documents or snapshots taken around the change (null for create / delete).
+ * Logging failures are reported but never undo or fail the admin action itself.
+ */
+export async function recordAudit(req, { action, entity, entityId, before = null, after = null, meta }) {
+  try {
+    const actor = mongoose.isValidObjectId(req.admin?.id) ? req.admin.id : undefined;
+    await AuditLog.create({
+      actor,
+      actorEmail: req.admin?.email,
+      action,
+      entity,
+      entityId,
+      changes: diffSnapshots(auditSnapshot(before), auditSnapshot(after)),
+      meta,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error(`Audit log error (${action}):`, err);
+  }
+}
@@ -0,0 +1,152 @@
+import mongoose from "mongoose";
+import Booking from "../models/booking.js";
+import Slot from "../models/slot.js";
+
+// Booking statuses that keep a date/slot occupied
+export const ACTIVE_BOOKING_STATUSES = ["pending", "approved"];
+
+/**
+ * Helper: normalizeDateString
+ * Accepts:
+ *  - a "YYYY-MM-DD" string
+ *  - a Date-like string
+ *  - a Date object
+ * Returns "YYYY-MM-DD" (local date)
+ */
+export function normalizeDateString(d) {
+  if (!d) return null;
+  try {
+    // If it's already 'YYYY-MM-DD'
+    if (typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+
+    const dt = new Date(d);
+    if (Number.isNaN(dt.getTime())) return null;
+
+    // Build local YYYY-MM-DD
+    const yyyy = dt.getFullYear();
+    const mm = String(dt.getMonth() + 1).padStart(2, "0");
+    const dd = String(dt.getDate()).padStart(2, "0");
+    return `${yyyy}-${mm}-${dd}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start/end of a "YYYY-MM-DD" day, matching how booking dates are stored (UTC midnight).
+ */
+export function dayRange(normalized) {
+  return {
+    start: new Date(normalized + "T00:00:00.000Z"),
+    end: new Date(normalized + "T23:59:59.999Z"),
+  };
+}
+
+/**
+ * The hall's time zone as minutes ahead of UTC (UTC_OFFSET_MINUTES, default 330 = IST).
+ * Slot times, reminder times and calendar events are in this local time.
+ */
+export function utcOffsetMinutes() {
+  return Number(process.env.UTC_OFFSET_MINUTES ?? 330);
+}
+
+/**
+ * The instant of local time "HH:mm" on a "YYYY-MM-DD" day, `offsetDays` later (negative = earlier).
+ */
+export function localDateTime(normalized, time, offsetDays = 0) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const { start } = dayRange(normalized); // UTC midnight of the local date
+  return new Date(start.getTime() + (offsetDays * 24 * 60 + hours * 60 + minutes - utcOffsetMinutes()) * 60 * 1000);
+}
+
+/**
+ * Key stored on Booking.slotKey while a booking holds its slot.
+ * A booking without a slot takes the whole day ("*").
+ */
+export function buildSlotKey(normalized, slotId) {
+  return `${normalized}|${slotId ? slotId.toString() : "*"}`;
+}
+
+/**
+ * Find an active slot by id or by name (case-insensitive).
+ */
+export async function resolveSlot(value) {
+  if (!value) return null;
+  if (mongoose.isValidObjectId(value)) {
+    const byId = await Slot.findOne({ _id: value, isActive: true });
+    if (byId) return byId;
+  }
+  return Slot.findOne({
+    name: new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"),
+    isActive: true,
+  });
+}
+
+/**
+ * Returns an active booking that clashes with the given date/slot, or null.
+ * - a whole-day request clashes with any booking on that date
+ * - a slot request clashes with the same slot or a whole-day booking
+ * `statuses` are the booking statuses that count (default: those holding their date).
+ */
+export async function findSlotConflict({ date, slotId, excludeId, statuses = ACTIVE_BOOKING_STATUSES }) {
+  const normalized = normalizeDateString(date);
+  const { start, end } = dayRange(normalized);
+
+  const query = {
+    date: { $gte: start, $lte: end },
+    status: { $in: statuses },
+  };
+  if (slotId) {
+    query.$or = [{ slot: slotId }, { slot: { $exists: false } }, { slot: null }];
+  }
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return Booking.findOne(query);
+}
+
+/**
+ * Builds the public availability calendar from `from` onwards.
+ * Returns:
+ *  - slots: active slots
+ *  - availability: { "YYYY-MM-DD": { bookedSlots: [names], freeSlots: [names] } } for dates with bookings
+ *  - bookedDates: dates with no free slot left
+ * Dates missing from `availability` are completely free.
+ */
+export async function getAvailability({ from = new Date() } = {}) {
+  const slots = await Slot.find({ isActive: true }).sort({ startTime: 1 });
+  const fromNormalized = normalizeDateString(from);
+
+  const bookings = await Booking.find({
+    date: { $gte: dayRange(fromNormalized).start },
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+  }).select("date slot");
+
+  const takenByDate = {};
+  bookings.forEach((b) => {
+    const day = normalizeDateString(b.date);
+    if (!day) return;
+    takenByDate[day] = takenByDate[day] || { slotIds: new Set(), wholeDay: false };
+    // Whole-day bookings take every slot
+    if (b.slot) takenByDate[day].slotIds.add(b.slot.toString());
+    else takenByDate[day].wholeDay = true;
+  });
+
+  const availability = {};
+  const bookedDates = [];
+  Object.keys(takenByDate)
+    .sort()
+    .forEach((day) => {
+      const { slotIds, wholeDay } = takenByDate[day];
+      const isTaken = (s) => wholeDay || slotIds.has(s._id.toString());
+      const bookedSlots = slots.filter(isTaken).map((s) => s.name);
+      const freeSlots = slots.filter((s) => !isTaken(s)).map((s) => s.name);
+      availability[day] = { bookedSlots, freeSlots };
+      if (freeSlots.length === 0) bookedDates.push(day);
+    });
+
+  return {
+    slots: slots.map((s) => ({ _id: s._id, name: s.name, startTime: s.startTime, endTime: s.endTime })),
+    availability,
+    bookedDates,
+  };
+}
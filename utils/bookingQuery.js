@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { normalizeDateString, dayRange } from "./availability.js";
+import { emailMatcher } from "./customerAuth.js";
+
+const SORTABLE_FIELDS = ["date", "createdAt", "amount", "amountPaid", "name", "status", "paymentStatus"];
+const MAX_LIMIT = 100;
+
+// Helper: "a,b" or ["a", "b"] → ["a", "b"]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Build a Booking filter from admin query parameters:
+ *  - status, paymentStatus: one value or comma-separated list
+ *  - from, to: event date range (YYYY-MM-DD, inclusive)
+ *  - package, slot: ids
+ *  - email: exact customer email (case-insensitive), e.g. for repeat-customer lookups
+ *  - q: free-text search on the booking text index (name/email/phone)
+ * Returns { filter } or { error } for a bad parameter.
+ */
+export function buildBookingFilter(query = {}) {
+  const filter = {};
+
+  if (query.status) filter.status = { $in: toList(query.status) };
+  if (query.paymentStatus) filter.paymentStatus = { $in: toList(query.paymentStatus) };
+
+  if (query.from || query.to) {
+    filter.date = {};
+    if (query.from) {
+      const from = normalizeDateString(query.from);
+      if (!from) return { error: "Invalid from date" };
+      filter.date.$gte = dayRange(from).start;
+    }
+    if (query.to) {
+      const to = normalizeDateString(query.to);
+      if (!to) return { error: "Invalid to date" };
+      filter.date.$lte = dayRange(to).end;
+    }
+  }
+
+  for (const key of ["package", "slot"]) {
+    if (!query[key]) continue;
+    if (!mongoose.isValidObjectId(query[key])) return { error: `Invalid ${key} id` };
+    filter[key] = query[key];
+  }
+
+  if (query.email) filter.email = emailMatcher(query.email);
+
+  if (query.q) filter.$text = { $search: String(query.q) };
+
+  return { filter };
+}
+
+/**
+ * Sort and page options from ?sort=-date&page=2&limit=20.
+ * Without a sort the latest event dates come first; text searches are ordered by relevance.
+ */
+export function buildBookingPaging(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+
+  let sort = { date: -1, _id: -1 };
+  if (query.sort) {
+    // A repeated ?sort= arrives as an array
+    if (typeof query.sort !== "string") return { error: "Sort by one field" };
+    const field = query.sort.replace(/^-/, "");
+    if (!SORTABLE_FIELDS.includes(field)) return { error: `Can't sort by ${field}` };
+    sort = { [field]: query.sort.startsWith("-") ? -1 : 1, _id: 1 };
+  } else if (query.q) {
+    sort = { score: { $meta: "textScore" } };
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort };
+}
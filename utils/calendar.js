@@ -0,0 +1,184 @@
+import Contact from "../models/contact.js";
+import Slot from "../models/slot.js";
+import { normalizeDateString, localDateTime } from "./availability.js";
+
+/**
+ * iCalendar (RFC 5545) output for bookings: the admins' subscription feed and the
+ * per-booking .ics attached to customer emails. Both use the booking id as the event UID,
+ * so a re-sent file (e.g. after a reschedule) updates the event instead of adding a second one.
+ */
+
+const CRLF = "\r\n";
+const PRODID = "-//Hall Booking//Bookings//EN";
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+// 2026-12-20T13:30:00.000Z → 20261220T133000Z
+const utcStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Start and end of a booking's event: its slot's times, else "HH:mm-HH:mm" in `time`
+ * (ending after midnight rolls over to the next day). Anything else is an all-day event.
+ */
+function eventTimes(booking) {
+  const day = normalizeDateString(booking.date);
+  const slot = booking.slot?.startTime ? booking.slot : null;
+  const match = slot
+    ? [null, slot.startTime, slot.endTime]
+    : /^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/.exec(booking.time || "");
+
+  if (!match) {
+    const next = new Date(`${day}T00:00:00.000Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return { allDay: true, start: day.replace(/-/g, ""), end: next.toISOString().slice(0, 10).replace(/-/g, "") };
+  }
+  const [, from, to] = match;
+  const start = localDateTime(day, from);
+  let end = localDateTime(day, to);
+  if (end <= start) end = localDateTime(day, to, 1);
+  return { allDay: false, start: utcStamp(start), end: utcStamp(end) };
+}
+
+// Helper: the hall's name, address and phone from the latest Contact record
+export async function hallDetails() {
+  const contact = await Contact.findOne().sort({ createdAt: -1 });
+  return {
+    name: contact?.businessName || process.env.EMAIL_FROM_NAME || "Hall booking",
+    location: contact?.location,
+    phone: contact?.phone,
+  };
+}
+
+/**
+ * VEVENT lines for a booking (expects `slot` populated for the slot's name and times).
+ *  - "admin": titled with the customer, with their contact details and payment status
+ *  - "customer": titled with the hall, with the booking reference and the hall's phone
+ */
+function bookingEvent(booking, hall, audience) {
+  const times = eventTimes(booking);
+  const packageName = booking.packageSnapshot?.name || booking.package?.name;
+  const slotName = booking.slot?.name;
+
+  const details =
+    audience === "admin"
+      ? [
+          `Customer: ${booking.name}`,
+          `Phone: ${booking.phone}`,
+          `Email: ${booking.email}`,
+          packageName && `Package: ${packageName}`,
+          `Guests: ${booking.guests}`,
+          slotName && `Slot: ${slotName}`,
+          `Payment: ${booking.paymentStatus}`,
+          booking.specialRequests && `Special requests: ${booking.specialRequests}`,
+        ]
+      : [
+          `Booking ID: ${booking._id}`,
+          packageName && `Package: ${packageName}`,
+          `Guests: ${booking.guests}`,
+          slotName && `Slot: ${slotName}`,
+          hall.phone && `Contact: ${hall.phone}`,
+        ];
+
+  const summary =
+    audience === "admin"
+      ? `${booking.name}${packageName ? ` — ${packageName}` : ""} (${booking.guests} guests)`
+      : `${packageName || "Event"} at ${hall.name}`;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${booking._id}@booking`,
+    `DTSTAMP:${utcStamp(new Date())}`,
+    `LAST-MODIFIED:${utcStamp(booking.updatedAt || new Date())}`,
+    // Bumped on every reschedule so calendars replace the old date
+    `SEQUENCE:${booking.rescheduleHistory?.length || 0}`,
+    times.allDay ? `DTSTART;VALUE=DATE:${times.start}` : `DTSTART:${times.start}`,
+    times.allDay ? `DTEND;VALUE=DATE:${times.end}` : `DTEND:${times.end}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(details.filter(Boolean).join("\n"))}`,
+    hall.location && `LOCATION:${escapeText(hall.location)}`,
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+function calendar(name, events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join(CRLF) + CRLF;
+}
+
+/**
+ * The admins' subscription feed: one event per booking, with customer details.
+ */
+export async function bookingsFeed(bookings) {
+  const hall = await hallDetails();
+  return calendar(`${hall.name} bookings`, bookings.map((booking) => bookingEvent(booking, hall, "admin")));
+}
+
+/**
+ * A single booking's event for the customer's own calendar.
+ */
+export async function bookingCalendar(booking) {
+  const hall = await hallDetails();
+  // The slot's times beat the free-text `time` the customer may have typed
+  if (booking.slot && !booking.slot.startTime) {
+    const plain = typeof booking.toObject === "function" ? booking.toObject() : booking;
+    booking = { ...plain, slot: await Slot.findById(booking.slot) };
+  }
+  return calendar(hall.name, [bookingEvent(booking, hall, "customer")]);
+}
+
+/**
+ * The customer's .ics as an outbox email attachment.
+ */
+export async function calendarAttachment(booking) {
+  return {
+    filename: `booking-${booking._id}.ics`,
+    contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+    content: Buffer.from(await bookingCalendar(booking)),
+  };
+}
+
+/**
+ * The customer's .ics as a list of attachments for an email — empty (and logged) if it can't be
+ * built, so the email still goes out.
+ */
+export async function calendarAttachments(booking) {
+  try {
+    return [await calendarAttachment(booking)];
+  } catch (err) {
+    console.error(`Failed building calendar file for ${booking._id}:`, err);
+    return [];
+  }
+}
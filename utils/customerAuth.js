@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import CustomerLogin from "../models/customerLogin.js";
+
+// Customer tokens carry this audience; admin routes refuse them
+export const CUSTOMER_AUDIENCE = "customer";
+
+const CODE_TTL_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+
+const sha256 = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+/**
+ * Case-insensitive exact match for a customer's email in booking queries
+ * (Booking.email is stored as typed).
+ */
+export function emailMatcher(email) {
+  const escaped = String(email).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Login request limit, overridable with env:
+ *  - CUSTOMER_LOGIN_MAX_REQUESTS (5): codes sent to one customer within CUSTOMER_LOGIN_WINDOW_MINUTES (15)
+ * The window can't be longer than a code's lifetime, as expired challenges are deleted.
+ */
+export function loginRequestSettings() {
+  return {
+    maxRequests: Number(process.env.CUSTOMER_LOGIN_MAX_REQUESTS) || 5,
+    windowMinutes: Math.min(Number(process.env.CUSTOMER_LOGIN_WINDOW_MINUTES) || 15, CODE_TTL_MINUTES),
+  };
+}
+
+/**
+ * True once `email` has been sent as many login codes as the window allows.
+ */
+export async function loginRequestsExhausted(email, now = new Date()) {
+  const { maxRequests, windowMinutes } = loginRequestSettings();
+  const recent = await CustomerLogin.countDocuments({
+    email,
+    createdAt: { $gt: new Date(now.getTime() - windowMinutes * 60 * 1000) },
+  });
+  return recent >= maxRequests;
+}
+
+/**
+ * Issue a one-time code and a magic link token for `email`.
+ * Only the hashes are stored; the plain values go out by email.
+ */
+export async function createLoginChallenge(email) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const linkToken = crypto.randomBytes(32).toString("hex");
+
+  await CustomerLogin.create({
+    email,
+    codeHash: sha256(code),
+    linkTokenHash: sha256(linkToken),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+  });
+
+  return { code, linkToken, expiresInMinutes: CODE_TTL_MINUTES };
+}
+
+/**
+ * Check a one-time code against the latest open challenge for `email`.
+ * Returns true once (the challenge is consumed); wrong codes count towards a lockout.
+ */
+export async function verifyLoginCode(email, code) {
+  const challenge = await CustomerLogin.findOne({
+    email: String(email).toLowerCase().trim(),
+    consumedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+  if (!challenge || challenge.attempts >= MAX_CODE_ATTEMPTS) return false;
+
+  const expected = Buffer.from(challenge.codeHash, "hex");
+  const received = Buffer.from(sha256(code), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) {
+    challenge.attempts += 1;
+    await challenge.save();
+    return false;
+  }
+
+  challenge.consumedAt = new Date();
+  await challenge.save();
+  return true;
+}
+
+/**
+ * Consume a magic link token. Returns the customer's email, or null if invalid/expired/used.
+ */
+export async function consumeMagicLink(linkToken) {
+  const challenge = await CustomerLogin.findOneAndUpdate(
+    { linkTokenHash: sha256(linkToken), consumedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { consumedAt: new Date() },
+    { new: true }
+  );
+  return challenge?.email || null;
+}
+
+export function signCustomerToken(email) {
+  return jwt.sign({ email }, process.env.JWT_SECRET, { audience: CUSTOMER_AUDIENCE, expiresIn: "2h" });
+}
+
+// --- Middleware: Verify Customer Token ---
+export function verifyCustomer(req, res, next) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return res.status(403).json({ message: "No token provided" });
+
+  jwt.verify(token, process.env.JWT_SECRET, { audience: CUSTOMER_AUDIENCE }, (err, decoded) => {
+    if (err) return res.status(401).json({ message: "Unauthorized" });
+    req.customer = { email: decoded.email };
+    next();
+  });
+}
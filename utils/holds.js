@@ -0,0 +1,61 @@
+import Booking from "../models/booking.js";
+import { cancelPaymentLinks } from "./paymentProviders/index.js";
+import { ACTIVE_BOOKING_STATUSES, normalizeDateString, dayRange } from "./availability.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hold lengths in hours, overridable with PENDING_HOLD_HOURS / UNPAID_HOLD_HOURS:
+ *  - pending: request not acted on by an admin
+ *  - unpaid: approved but nothing paid since the payment link was sent
+ */
+export function holdHours() {
+  return {
+    pending: Number(process.env.PENDING_HOLD_HOURS) || 48,
+    unpaid: Number(process.env.UNPAID_HOLD_HOURS) || 72,
+  };
+}
+
+/**
+ * When a hold of the given kind ("pending" | "unpaid") started at `from` runs out.
+ */
+export function holdExpiry(kind, from = new Date()) {
+  return new Date(from.getTime() + holdHours()[kind] * HOUR_MS);
+}
+
+/**
+ * Helper: releaseExpiredHolds
+ * Expires pending/approved bookings whose hold ran out without payment: status "expired",
+ * date/slot released, outstanding payment links cancelled (best-effort).
+ * Pass `date` to only look at one day (used before taking a new booking for it).
+ * Returns the released bookings so the caller can notify customers and clients.
+ */
+export async function releaseExpiredHolds({ now = new Date(), date } = {}) {
+  const query = {
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    holdExpiresAt: { $lte: now },
+    amountPaid: { $in: [0, null] },
+  };
+  if (date) {
+    const { start, end } = dayRange(normalizeDateString(date));
+    query.date = { $gte: start, $lte: end };
+  }
+
+  const expired = await Booking.find(query);
+  const released = [];
+
+  for (const booking of expired) {
+    booking.status = "expired";
+    booking.slotKey = undefined;
+    booking.holdExpiresAt = undefined;
+
+    const open = booking.installments.filter((i) => i.status === "pending");
+    open.forEach((i) => (i.status = "cancelled"));
+    await cancelPaymentLinks(booking, open);
+
+    await booking.save();
+    released.push(booking);
+  }
+
+  return released;
+}
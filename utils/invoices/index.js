@@ -0,0 +1,224 @@
+import Invoice from "../../models/invoice.js";
+import Counter from "../../models/counter.js";
+import Contact from "../../models/contact.js";
+import { normalizeDateString } from "../availability.js";
+import { INSTALLMENT_LABELS } from "../paymentSchedule.js";
+import { renderInvoicePdf } from "./pdf.js";
+
+/**
+ * GST settings, overridable with env:
+ *  - GST_RATE_PERCENT (18): GST included in booking amounts, charged as half CGST + half SGST
+ *  - GST_SAC_CODE (997212): SAC printed on every line
+ *  - INVOICE_PREFIX (INV) / RECEIPT_PREFIX (RCT): document number prefixes
+ */
+export function gstSettings() {
+  return {
+    rate: Number(process.env.GST_RATE_PERCENT ?? 18),
+    sac: process.env.GST_SAC_CODE || "997212",
+    prefixes: { invoice: process.env.INVOICE_PREFIX || "INV", receipt: process.env.RECEIPT_PREFIX || "RCT" },
+  };
+}
+
+/**
+ * Indian financial year (April–March) of a date: "2026-27".
+ */
+export function financialYear(date = new Date()) {
+  const d = new Date(date);
+  const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * Split a GST-inclusive amount (paise) into taxable value, CGST and SGST.
+ */
+export function splitGst(amount, rate = gstSettings().rate) {
+  const taxable = Math.round((amount * 100) / (100 + rate));
+  const tax = amount - taxable;
+  const cgst = Math.round(tax / 2);
+  return { amount, taxable, cgst, sgst: tax - cgst };
+}
+
+// Helper: the hall's details from the latest Contact record
+async function sellerDetails() {
+  const contact = await Contact.findOne().sort({ createdAt: -1 });
+  return {
+    name: contact?.businessName || process.env.EMAIL_FROM_NAME,
+    address: contact?.location,
+    phone: contact?.phone,
+    email: contact?.email,
+    gstin: contact?.gstin,
+    state: contact?.state,
+    stateCode: contact?.stateCode,
+  };
+}
+
+// Helper: payments received on a booking; bookings from before payment schedules were paid in one go
+function bookingPayments(booking) {
+  const payments = booking.installments
+    .filter((i) => i.status === "paid" && i.paymentId)
+    .map((i) => ({
+      paidAt: i.paidAt,
+      description: INSTALLMENT_LABELS.en[i.kind],
+      paymentId: i.paymentId,
+      amount: i.amount,
+      installment: i._id,
+    }));
+  if (booking.installments.length === 0 && booking.isPaid && booking.paymentId) {
+    payments.push({
+      paidAt: booking.paidAt,
+      description: INSTALLMENT_LABELS.en.full,
+      paymentId: booking.paymentId,
+      amount: booking.amountPaid || booking.amount,
+    });
+  }
+  return payments;
+}
+
+// Helper: invoice lines from the quote's items when they add up to the booking amount, else one line for the package
+function invoiceLines(booking, { rate, sac }) {
+  const packageName = booking.packageSnapshot?.name || "Hall booking";
+  const items = (booking.quote?.items || []).map((i) => ({ description: i.label, amount: Math.round(i.amount * 100) }));
+  const itemsTotal = items.reduce((sum, i) => sum + i.amount, 0);
+  const lines =
+    items.length > 0 && itemsTotal === booking.amount
+      ? items
+      : [{ description: `${packageName} for ${booking.guests} guests`, amount: booking.amount }];
+  return lines.map((line) => ({ description: line.description, sac, ...splitGst(line.amount, rate) }));
+}
+
+const sumOf = (lines, field) => lines.reduce((sum, line) => sum + line[field], 0);
+
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Helper: give a claimed document the next number of its issue date's financial year sequence
+async function numberDocument(doc) {
+  const fy = financialYear(doc.issuedAt);
+  const sequence = await Counter.next(`${doc.type}|${fy}`);
+  doc.set({ financialYear: fy, sequence, number: `${gstSettings().prefixes[doc.type]}/${fy}/${String(sequence).padStart(4, "0")}` });
+  return doc.save();
+}
+
+/**
+ * Helper: issueDocument
+ * GST numbers must run without gaps, so the document's slot (the booking's invoice or the payment's
+ * receipt) is claimed first with an upsert, and only the request that created the claim takes a number.
+ * Returns the numbered document, or null when it was already issued (or is being issued) elsewhere.
+ */
+async function issueDocument(type, fields, issuedAt) {
+  const slot = type === "receipt" ? { type, paymentId: fields.paymentId } : { type, booking: fields.booking };
+  let claim;
+  try {
+    claim = await Invoice.findOneAndUpdate(
+      slot,
+      { $setOnInsert: { ...fields, issuedAt, claimedAt: new Date() } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (err) {
+    if (err?.code === 11000) return null; // claimed concurrently
+    throw err;
+  }
+  if (claim.lastErrorObject?.updatedExisting) return null;
+  return numberDocument(claim.value);
+}
+
+// Helper: number claims whose issuer stopped before numbering them (one taker per claim)
+async function numberAbandonedClaims(bookingId, now) {
+  const numbered = [];
+  for (;;) {
+    const doc = await Invoice.findOneAndUpdate(
+      { booking: bookingId, number: { $exists: false }, claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+      { claimedAt: now },
+      { new: true }
+    );
+    if (!doc) return numbered;
+    numbered.push(await numberDocument(doc));
+  }
+}
+
+/**
+ * A booking's issued documents, oldest first (read-only; documents are issued from the payment path).
+ */
+export function bookingDocuments(bookingId) {
+  return Invoice.find({ booking: bookingId, number: { $exists: true } }).sort({ issuedAt: 1, _id: 1 });
+}
+
+/**
+ * Helper: issueBookingDocuments
+ * Issues the GST documents a booking is due and doesn't have yet:
+ *  - a receipt for every payment received
+ *  - a tax invoice for the full amount once the booking is fully paid
+ * Amounts include GST (GST_RATE_PERCENT), split into CGST + SGST — the hall's state is the place of supply.
+ * Called after a payment is recorded. Returns { documents (all, oldest first), issued (the new ones) }.
+ */
+export async function issueBookingDocuments(booking, { now = new Date() } = {}) {
+  const issued = await numberAbandonedClaims(booking._id, now);
+  const existing = await Invoice.find({ booking: booking._id }).sort({ issuedAt: 1, _id: 1 });
+  const settings = gstSettings();
+  const payments = bookingPayments(booking);
+  const due = [];
+
+  for (const payment of payments) {
+    if (existing.some((d) => d.type === "receipt" && d.paymentId === payment.paymentId)) continue;
+    const lines = [
+      {
+        description: `${payment.description} for the booking on ${normalizeDateString(booking.date)}`,
+        sac: settings.sac,
+        ...splitGst(payment.amount, settings.rate),
+      },
+    ];
+    due.push({ type: "receipt", paymentId: payment.paymentId, installment: payment.installment, lines, payments: [payment] });
+  }
+
+  const fullyPaid = booking.paymentStatus === "paid" && ["approved", "completed"].includes(booking.status);
+  if (fullyPaid && !existing.some((d) => d.type === "invoice")) {
+    due.push({ type: "invoice", lines: invoiceLines(booking, settings), payments });
+  }
+
+  if (due.length > 0) {
+    const seller = await sellerDetails();
+    for (const { type, lines, ...fields } of due) {
+      const document = await issueDocument(
+        type,
+        {
+          ...fields,
+          booking: booking._id,
+          seller,
+          customer: { name: booking.name, email: booking.email, phone: booking.phone },
+          eventDate: booking.date,
+          packageName: booking.packageSnapshot?.name,
+          guests: booking.guests,
+          taxRate: settings.rate,
+          lines,
+          taxable: sumOf(lines, "taxable"),
+          cgst: sumOf(lines, "cgst"),
+          sgst: sumOf(lines, "sgst"),
+          total: sumOf(lines, "amount"),
+        },
+        now
+      );
+      if (document) issued.push(document);
+    }
+  }
+
+  return { documents: await bookingDocuments(booking._id), issued };
+}
+
+/**
+ * Download name for a document: "INV-2026-27-0007.pdf".
+ */
+export function documentFilename(document) {
+  return `${document.number.replace(/\//g, "-")}.pdf`;
+}
+
+/**
+ * Render a document as an outbox email attachment.
+ */
+export async function documentAttachment(document) {
+  return {
+    filename: documentFilename(document),
+    contentType: "application/pdf",
+    content: await renderInvoicePdf(document),
+  };
+}
+
+export { renderInvoicePdf };
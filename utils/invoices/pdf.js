@@ -0,0 +1,133 @@
+import PDFDocument from "pdfkit";
+import { normalizeDateString } from "../availability.js";
+
+// The built-in PDF fonts have no ₹ glyph
+const inr = (paise) =>
+  `Rs. ${((paise || 0) / 100).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const day = (date) => normalizeDateString(date) || "";
+
+const TITLES = { invoice: "TAX INVOICE", receipt: "PAYMENT RECEIPT" };
+
+const LEFT = 50;
+const WIDTH = 495; // A4 width minus margins
+
+// Helper: one table row; columns are [{ text, width, align }]
+function row(doc, columns, { bold = false } = {}) {
+  if (doc.y > doc.page.height - 120) doc.addPage();
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+  let x = LEFT;
+  let height = 0;
+  for (const { text, width, align = "left" } of columns) {
+    doc.text(String(text ?? ""), x + 4, y + 4, { width: width - 8, align });
+    height = Math.max(height, doc.y - y);
+    x += width;
+  }
+  doc.moveTo(LEFT, y + height + 4).lineTo(LEFT + WIDTH, y + height + 4).lineWidth(0.5).stroke("#999999");
+  doc.x = LEFT;
+  doc.y = y + height + 6;
+}
+
+function party(doc, heading, p) {
+  doc.font("Helvetica-Bold").text(heading);
+  doc.font("Helvetica");
+  [
+    p.name,
+    p.address,
+    p.state && `State: ${p.state}${p.stateCode ? ` (${p.stateCode})` : ""}`,
+    p.gstin && `GSTIN: ${p.gstin}`,
+    p.phone && `Phone: ${p.phone}`,
+    p.email && `Email: ${p.email}`,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+}
+
+/**
+ * Helper: renderInvoicePdf
+ * Renders an issued invoice or receipt (models/invoice.js) as an A4 PDF. Resolves to a Buffer.
+ */
+export function renderInvoicePdf(document) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: LEFT, info: { Title: `${TITLES[document.type]} ${document.number}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const halfRate = document.taxRate / 2;
+    doc.fontSize(18).font("Helvetica-Bold").text(TITLES[document.type], { align: "center" });
+    doc.moveDown(0.5).fontSize(10);
+
+    // Document details
+    const top = doc.y;
+    party(doc, "From", document.seller || {});
+    const sellerBottom = doc.y;
+    doc.y = top;
+    [
+      `${document.type === "invoice" ? "Invoice" : "Receipt"} No: ${document.number}`,
+      `Date: ${day(document.issuedAt)}`,
+      document.seller?.state && `Place of supply: ${document.seller.state}${document.seller.stateCode ? ` (${document.seller.stateCode})` : ""}`,
+      `Booking ID: ${document.booking}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.font("Helvetica").text(line, LEFT + 300, doc.y, { width: WIDTH - 300, align: "right" }));
+    doc.x = LEFT;
+    doc.y = Math.max(sellerBottom, doc.y) + 10;
+
+    party(doc, document.type === "invoice" ? "Bill to" : "Received from", document.customer || {});
+    doc.moveDown(0.5);
+    doc.text(
+      `Event date: ${day(document.eventDate)}${document.packageName ? ` — ${document.packageName}` : ""}${
+        document.guests ? `, ${document.guests} guests` : ""
+      }`
+    );
+    doc.moveDown();
+
+    // Lines with the GST split
+    const columns = [195, 60, 80, 80, 80];
+    const cells = (values, aligns = ["left", "left", "right", "right", "right"]) =>
+      values.map((text, i) => ({ text, width: columns[i], align: aligns[i] }));
+    row(doc, cells(["Description", "SAC", "Taxable value", `CGST ${halfRate}%`, `SGST ${halfRate}%`]), { bold: true });
+    for (const line of document.lines) {
+      row(doc, cells([line.description, line.sac, inr(line.taxable), inr(line.cgst), inr(line.sgst)]));
+    }
+    row(doc, cells(["Total", "", inr(document.taxable), inr(document.cgst), inr(document.sgst)]), { bold: true });
+
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").text(
+      `${document.type === "invoice" ? "Invoice total" : "Amount received"} (incl. GST ${document.taxRate}%): ${inr(document.total)}`,
+      { align: "right" }
+    );
+    doc.moveDown();
+
+    // Payments
+    if (document.payments?.length) {
+      doc.font("Helvetica-Bold").text(document.type === "invoice" ? "Payments received" : "Payment");
+      doc.moveDown(0.3);
+      const paymentColumns = [100, 165, 130, 100];
+      const paymentCells = (values) =>
+        values.map((text, i) => ({ text, width: paymentColumns[i], align: i === 3 ? "right" : "left" }));
+      row(doc, paymentCells(["Date", "For", "Payment ID", "Amount"]), { bold: true });
+      for (const payment of document.payments) {
+        row(doc, paymentCells([day(payment.paidAt), payment.description, payment.paymentId, inr(payment.amount)]));
+      }
+      doc.moveDown();
+    }
+
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#555555")
+      .text(
+        document.seller?.gstin
+          ? "This is a computer-generated document and does not require a signature."
+          : "This is a computer-generated document. GSTIN not configured — not valid as a tax invoice.",
+        LEFT,
+        doc.y,
+        { width: WIDTH, align: "center" }
+      );
+
+    doc.end();
+  });
+}
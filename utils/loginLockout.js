@@ -0,0 +1,71 @@
+import LoginFailure from "../models/loginFailure.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Lockout settings, overridable with env:
+ *  - ADMIN_MAX_FAILED_LOGINS (5): wrong passwords in a row before an account is locked
+ *  - ADMIN_LOCK_MINUTES (15): how long a locked account stays locked
+ *  - IP_MAX_FAILED_LOGINS (20): failed logins from one IP within IP_LOCK_WINDOW_MINUTES (15)
+ */
+export function lockoutSettings() {
+  return {
+    maxAccountFailures: Number(process.env.ADMIN_MAX_FAILED_LOGINS) || 5,
+    accountLockMinutes: Number(process.env.ADMIN_LOCK_MINUTES) || 15,
+    maxIpFailures: Number(process.env.IP_MAX_FAILED_LOGINS) || 20,
+    ipWindowMinutes: Number(process.env.IP_LOCK_WINDOW_MINUTES) || 15,
+  };
+}
+
+/**
+ * Minutes until `ip` may try again, or 0 if it isn't locked out.
+ */
+export async function ipLockedForMinutes(ip, now = new Date()) {
+  const { maxIpFailures, ipWindowMinutes } = lockoutSettings();
+  const windowStart = new Date(now.getTime() - ipWindowMinutes * MINUTE_MS);
+
+  const failures = await LoginFailure.find({ ip, createdAt: { $gt: windowStart } })
+    .sort({ createdAt: -1 })
+    .limit(maxIpFailures)
+    .select("createdAt");
+  if (failures.length < maxIpFailures) return 0;
+
+  // Unlocks when the oldest of the last N failures leaves the window
+  const oldest = failures[failures.length - 1].createdAt;
+  return Math.max(1, Math.ceil((oldest.getTime() + ipWindowMinutes * MINUTE_MS - now.getTime()) / MINUTE_MS));
+}
+
+/**
+ * Minutes until `admin` may sign in again, or 0 if the account isn't locked.
+ */
+export function accountLockedForMinutes(admin, now = new Date()) {
+  if (!admin?.lockedUntil || admin.lockedUntil <= now) return 0;
+  return Math.ceil((admin.lockedUntil.getTime() - now.getTime()) / MINUTE_MS);
+}
+
+/**
+ * Helper: recordFailedLogin
+ * Counts a failed login against the IP and, when the email matches an admin, against that account
+ * (locking it once the limit is reached). Saves the admin.
+ */
+export async function recordFailedLogin({ ip, email, admin, now = new Date() }) {
+  const { maxAccountFailures, accountLockMinutes, ipWindowMinutes } = lockoutSettings();
+
+  await LoginFailure.create({ ip, email, expiresAt: new Date(now.getTime() + ipWindowMinutes * MINUTE_MS) });
+
+  if (!admin) return;
+  admin.failedLoginAttempts = (admin.failedLoginAttempts || 0) + 1;
+  if (admin.failedLoginAttempts >= maxAccountFailures) {
+    admin.lockedUntil = new Date(now.getTime() + accountLockMinutes * MINUTE_MS);
+    admin.failedLoginAttempts = 0;
+  }
+  await admin.save();
+}
+
+/**
+ * Reset an account's lockout after a successful login or password reset (caller saves).
+ */
+export function clearFailedLogins(admin) {
+  admin.failedLoginAttempts = 0;
+  admin.lockedUntil = undefined;
+}
@@ -0,0 +1,42 @@
+import { createStubProvider } from "./stub.js";
+import { createTwilioProvider } from "./twilio.js";
+
+/**
+ * Messaging provider interface — every provider returns an object with:
+ *  - name
+ *  - sendSms({ to, text, template }) → { id }
+ *  - sendWhatsApp({ to, text, template, variables }) → { id }
+ *      `template` is the message template name, `variables` its values in order (for approved WhatsApp templates)
+ *  - parseInbound(req) → { from, body, channel: "sms" | "whatsapp" }, or null if the request isn't genuine
+ * Phone numbers are E.164 (see phone.js).
+ */
+const factories = {
+  stub: createStubProvider,
+  twilio: createTwilioProvider,
+};
+
+export const MESSAGING_PROVIDERS = Object.keys(factories);
+export const MESSAGE_CHANNELS = ["sms", "whatsapp"];
+
+let provider = null;
+
+/**
+ * True once MESSAGING_PROVIDER is set. There is no default: without it no SMS / WhatsApp
+ * is queued, rather than the stub marking messages sent that never left the server.
+ */
+export function messagingConfigured() {
+  return Boolean(process.env.MESSAGING_PROVIDER);
+}
+
+/**
+ * The provider selected by MESSAGING_PROVIDER ("stub" must be chosen explicitly, e.g. for development).
+ * Created on first use so dotenv has loaded the keys by then.
+ */
+export function getMessagingProvider() {
+  if (provider) return provider;
+  const name = process.env.MESSAGING_PROVIDER;
+  if (!name) throw new Error("MESSAGING_PROVIDER is not set");
+  if (!factories[name]) throw new Error(`Unknown messaging provider "${name}"`);
+  provider = factories[name]();
+  return provider;
+}
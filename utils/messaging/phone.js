@@ -0,0 +1,20 @@
+/**
+ * Normalize a phone number to E.164 ("+919876543210").
+ * Numbers without a country code get DEFAULT_COUNTRY_CODE (default 91, India).
+ * Returns null if it doesn't look like a phone number.
+ */
+export function normalizePhone(phone) {
+  if (!phone) return null;
+  const raw = String(phone).trim();
+  let digits = raw.replace(/\D/g, "");
+
+  if (raw.startsWith("+") || raw.startsWith("00")) {
+    if (raw.startsWith("00")) digits = digits.slice(2);
+  } else {
+    const countryCode = process.env.DEFAULT_COUNTRY_CODE || "91";
+    digits = digits.replace(/^0+/, "");
+    if (!digits.startsWith(countryCode) || digits.length <= 10) digits = `${countryCode}${digits}`;
+  }
+
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
@@ -0,0 +1,137 @@
+import CustomerPreference from "../../models/customerPreference.js";
+import { MESSAGE_CHANNELS, messagingConfigured } from "./index.js";
+import { normalizePhone } from "./phone.js";
+import { messageTemplates } from "./templates.js";
+
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const OPT_IN_KEYWORDS = ["START", "UNSTOP", "YES"];
+
+/**
+ * Channels a new customer gets when the booking form doesn't say (MESSAGING_DEFAULT_CHANNELS,
+ * comma-separated, default "sms"). WhatsApp should normally be an explicit opt-in.
+ */
+function defaultChannels() {
+  return (process.env.MESSAGING_DEFAULT_CHANNELS ?? "sms")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => MESSAGE_CHANNELS.includes(c));
+}
+
+/**
+ * Helper: bookingPreferences
+ * The preferences for a booking's phone, created or updated but not saved: the caller saves
+ * them with the booking, so a booking that isn't made changes nothing.
+ * `channels` ({ sms, whatsapp } booleans from the booking form) are applied when given —
+ * ticking a channel is an explicit opt-in, except on a channel the phone opted out of: the public
+ * form can't undo a STOP, only the keyword or the signed-in portal can. Otherwise a new customer
+ * gets the default channels and an existing customer's choices are left alone.
+ */
+export async function bookingPreferences({ phone, email, locale, channels }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+
+  let preference = await CustomerPreference.findOne({ phone: normalized });
+  const isNew = !preference;
+  preference = preference || new CustomerPreference({ phone: normalized });
+  if (email) preference.email = email;
+  if (locale) preference.locale = locale;
+
+  for (const channel of MESSAGE_CHANNELS) {
+    if (channels && typeof channels[channel] === "boolean") {
+      if (channels[channel] && preference[channel].optedOutAt) continue;
+      setChannel(preference, channel, channels[channel], "booking");
+    } else if (isNew) {
+      preference[channel].enabled = defaultChannels().includes(channel);
+      preference[channel].source = "default";
+    }
+  }
+
+  return preference;
+}
+
+// Helper: an explicit opt-in / opt-out of one channel
+function setChannel(preference, channel, enabled, source) {
+  const current = preference[channel];
+  if (!enabled && (current.enabled || !current.optedOutAt)) current.optedOutAt = new Date();
+  if (enabled) current.optedOutAt = undefined;
+  current.enabled = enabled;
+  current.updatedAt = new Date();
+  current.source = source;
+}
+
+/**
+ * Update the channels for `phones` from the customer portal: { sms?, whatsapp? } booleans.
+ */
+export async function updatePreferences(phones, channels, { locale } = {}) {
+  const updated = [];
+  for (const phone of phones.map(normalizePhone).filter(Boolean)) {
+    const preference = (await CustomerPreference.findOne({ phone })) || new CustomerPreference({ phone });
+    for (const channel of MESSAGE_CHANNELS) {
+      if (typeof channels[channel] === "boolean") setChannel(preference, channel, channels[channel], "portal");
+    }
+    if (locale) preference.locale = locale;
+    updated.push(await preference.save());
+  }
+  return updated;
+}
+
+/**
+ * Apply an inbound STOP / START keyword to the channel it arrived on.
+ * Returns "opted_out", "opted_in", or null if the message isn't a keyword.
+ */
+export async function applyInboundKeyword({ from, body, channel }) {
+  const phone = normalizePhone(from);
+  const keyword = String(body || "").trim().toUpperCase();
+  if (!phone || !MESSAGE_CHANNELS.includes(channel)) return null;
+
+  const optOut = OPT_OUT_KEYWORDS.includes(keyword);
+  if (!optOut && !OPT_IN_KEYWORDS.includes(keyword)) return null;
+
+  const preference = (await CustomerPreference.findOne({ phone })) || new CustomerPreference({ phone });
+  setChannel(preference, channel, !optOut, "keyword");
+  await preference.save();
+  return optOut ? "opted_out" : "opted_in";
+}
+
+/**
+ * True if `phone` currently accepts messages on `channel`.
+ */
+export async function acceptsChannel(phone, channel) {
+  const preference = await CustomerPreference.findOne({ phone: normalizePhone(phone) });
+  return Boolean(preference?.[channel]?.enabled);
+}
+
+/**
+ * Helper: messageNotifications
+ * Outbox entries for the SMS / WhatsApp versions of a notification, one per channel the
+ * customer has enabled. Empty if the template has no message version or messaging isn't configured.
+ * `preference` is the phone's CustomerPreference when the caller already has it (e.g. not saved yet).
+ */
+export async function messageNotifications({ template, phone, locale, data, booking, preference }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized || !messageTemplates[template] || !messagingConfigured()) return [];
+
+  preference = preference ?? (await CustomerPreference.findOne({ phone: normalized }));
+  return MESSAGE_CHANNELS.filter((channel) => preference?.[channel]?.enabled).map((channel) => ({
+    channel,
+    template,
+    to: normalized,
+    locale,
+    data,
+    booking,
+  }));
+}
+
+/**
+ * Helper: customerNotifications
+ * Outbox entries for a customer notification about a booking: the email plus the
+ * SMS / WhatsApp versions on the channels the customer enabled. `attachments` go on the email only;
+ * `preference` as for messageNotifications.
+ */
+export async function customerNotifications(template, booking, data = { booking }, { attachments, preference } = {}) {
+  const shared = { template, locale: booking.locale, data, booking: booking._id };
+  return [
+    { ...shared, to: booking.email, attachments },
+    ...(await messageNotifications({ ...shared, phone: booking.phone, preference })),
+  ];
+}
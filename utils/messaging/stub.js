@@ -0,0 +1,26 @@
+/**
+ * Local messaging provider for development and tests: nothing leaves the machine.
+ * Sent messages are logged and kept in `sent` (most recent last) so tests can inspect them.
+ * Inbound webhooks take plain JSON: { from, body, channel }.
+ */
+export function createStubProvider() {
+  const sent = [];
+
+  const record = (channel) => async ({ to, text, template }) => {
+    const message = { id: `stub_${Date.now()}_${sent.length}`, channel, to, text, template, sentAt: new Date() };
+    sent.push(message);
+    console.log(`💬 [${channel}] To: ${to}\n${text}`);
+    return { id: message.id };
+  };
+
+  return {
+    name: "stub",
+    sent,
+    sendSms: record("sms"),
+    sendWhatsApp: record("whatsapp"),
+    parseInbound(req) {
+      const { from, body, channel = "sms" } = req.body || {};
+      return from ? { from, body: String(body || ""), channel } : null;
+    },
+  };
+}
@@ -0,0 +1,126 @@
+import { normalizeDateString } from "../availability.js";
+import { seeYou } from "../notifications/templates.js";
+
+/**
+ * SMS / WhatsApp message templates by name and locale — short plain-text versions of the
+ * lifecycle emails. Each returns { text, variables }: `variables` are the values in order,
+ * for WhatsApp providers that send pre-approved templates ({{1}}, {{2}}, …).
+ */
+
+const rupees = (paise) => `₹${((paise || 0) / 100).toLocaleString("en-IN")}`;
+const day = (date) => normalizeDateString(date);
+const ref = (booking) => String(booking._id).slice(-6).toUpperCase();
+const firstName = (name) => String(name || "").trim().split(/\s+/)[0];
+
+const nextInstallment = (booking) => booking.installments?.find((i) => i.status === "pending");
+
+const OPT_OUT = {
+  en: "Reply STOP to opt out.",
+  hi: "संदेश बंद करने के लिए STOP लिखें।",
+};
+
+export const messageTemplates = {
+  bookingReceived: {
+    en: ({ booking }) => ({
+      text: `Hi ${firstName(booking.name)}, we've received your booking request for ${day(booking.date)} (ref ${ref(booking)}). We'll confirm shortly.`,
+      variables: [firstName(booking.name), day(booking.date), ref(booking)],
+    }),
+    hi: ({ booking }) => ({
+      text: `नमस्ते ${firstName(booking.name)}, ${day(booking.date)} के लिए आपका बुकिंग अनुरोध मिल गया है (संदर्भ ${ref(booking)})। हम जल्द ही पुष्टि करेंगे।`,
+      variables: [firstName(booking.name), day(booking.date), ref(booking)],
+    }),
+  },
+
+  bookingApproved: {
+    en: ({ booking }) => {
+      const due = nextInstallment(booking);
+      return {
+        text: `Good news ${firstName(booking.name)}! Your booking for ${day(booking.date)} is approved.${
+          due ? ` Please pay ${rupees(due.amount)} by ${day(due.dueDate)}: ${due.paymentLinkUrl}` : ""
+        }`,
+        variables: [firstName(booking.name), day(booking.date), rupees(due?.amount), day(due?.dueDate) || "", due?.paymentLinkUrl || ""],
+      };
+    },
+    hi: ({ booking }) => {
+      const due = nextInstallment(booking);
+      return {
+        text: `खुशखबरी ${firstName(booking.name)}! ${day(booking.date)} की आपकी बुकिंग स्वीकृत हो गई है।${
+          due ? ` कृपया ${day(due.dueDate)} तक ${rupees(due.amount)} का भुगतान करें: ${due.paymentLinkUrl}` : ""
+        }`,
+        variables: [firstName(booking.name), day(booking.date), rupees(due?.amount), day(due?.dueDate) || "", due?.paymentLinkUrl || ""],
+      };
+    },
+  },
+
+  paymentReceived: {
+    en: ({ booking }) => ({
+      text: `Payment received, thank you! ${rupees(booking.amountPaid)} of ${rupees(booking.amount)} paid for your booking on ${day(booking.date)} (ref ${ref(booking)}).`,
+      variables: [rupees(booking.amountPaid), rupees(booking.amount), day(booking.date), ref(booking)],
+    }),
+    hi: ({ booking }) => ({
+      text: `भुगतान प्राप्त हुआ, धन्यवाद! ${day(booking.date)} की बुकिंग (संदर्भ ${ref(booking)}) के लिए ${rupees(booking.amount)} में से ${rupees(booking.amountPaid)} का भुगतान हो चुका है।`,
+      variables: [rupees(booking.amountPaid), rupees(booking.amount), day(booking.date), ref(booking)],
+    }),
+  },
+
+  paymentReminder: {
+    en: ({ booking, installment }) => ({
+      text: `Reminder: ${rupees(installment.amount)} is due by ${day(installment.dueDate)} for your booking on ${day(booking.date)}.${
+        installment.paymentLinkUrl ? ` Pay: ${installment.paymentLinkUrl}` : ""
+      }`,
+      variables: [rupees(installment.amount), day(installment.dueDate), day(booking.date), installment.paymentLinkUrl || ""],
+    }),
+    hi: ({ booking, installment }) => ({
+      text: `अनुस्मारक: ${day(booking.date)} की आपकी बुकिंग के लिए ${rupees(installment.amount)} का भुगतान ${day(installment.dueDate)} तक देय है।${
+        installment.paymentLinkUrl ? ` भुगतान करें: ${installment.paymentLinkUrl}` : ""
+      }`,
+      variables: [rupees(installment.amount), day(installment.dueDate), day(booking.date), installment.paymentLinkUrl || ""],
+    }),
+  },
+
+  eventReminder: {
+    en: ({ booking, daysLeft }) => ({
+      text: `${seeYou(daysLeft, "en")}, ${firstName(booking.name)}! Your event is on ${day(booking.date)}${booking.time ? ` (${booking.time})` : ""}.`,
+      // The greeting goes last so approved templates written for the first three keep working
+      variables: [firstName(booking.name), day(booking.date), booking.time || "", seeYou(daysLeft, "en")],
+    }),
+    hi: ({ booking, daysLeft }) => ({
+      text: `${seeYou(daysLeft, "hi")}, ${firstName(booking.name)}! आपका कार्यक्रम ${day(booking.date)}${booking.time ? ` (${booking.time})` : ""} को है।`,
+      variables: [firstName(booking.name), day(booking.date), booking.time || "", seeYou(daysLeft, "hi")],
+    }),
+  },
+
+  customerLoginCode: {
+    en: ({ code, expiresInMinutes }) => ({
+      text: `Your booking login code is ${code}. It expires in ${expiresInMinutes} minutes.`,
+      variables: [code, String(expiresInMinutes)],
+    }),
+    hi: ({ code, expiresInMinutes }) => ({
+      text: `आपका बुकिंग लॉगिन कोड ${code} है। यह ${expiresInMinutes} मिनट में समाप्त हो जाएगा।`,
+      variables: [code, String(expiresInMinutes)],
+    }),
+  },
+
+  thankYou: {
+    en: ({ booking, feedbackUrl }) => ({
+      text: `Thank you for celebrating with us, ${firstName(booking.name)}! We'd love your feedback: ${feedbackUrl}`,
+      variables: [firstName(booking.name), feedbackUrl],
+    }),
+    hi: ({ booking, feedbackUrl }) => ({
+      text: `हमारे साथ जश्न मनाने के लिए धन्यवाद, ${firstName(booking.name)}! अपनी प्रतिक्रिया दें: ${feedbackUrl}`,
+      variables: [firstName(booking.name), feedbackUrl],
+    }),
+  },
+};
+
+/**
+ * Render a message: { text, variables }, or null if the template has no message version.
+ * SMS texts end with the opt-out instruction.
+ */
+export function renderMessage(name, locale, channel, data) {
+  const template = messageTemplates[name];
+  if (!template) return null;
+  const lang = template[locale] ? locale : "en";
+  const { text, variables } = template[lang](data);
+  return { text: channel === "sms" ? `${text} ${OPT_OUT[lang]}` : text, variables };
+}
@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+/**
+ * Twilio Programmable Messaging (SMS + WhatsApp) over its REST API.
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_SMS_FROM (number or messaging service SID "MG…"),
+ *      TWILIO_WHATSAPP_FROM (e.g. +14155238886),
+ *      TWILIO_WHATSAPP_CONTENT_SIDS: JSON map of template name → approved Content SID
+ *        (business-initiated WhatsApp messages must use an approved template; without one the text is sent as is).
+ */
+export function createTwilioProvider() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const contentSids = JSON.parse(process.env.TWILIO_WHATSAPP_CONTENT_SIDS || "{}");
+
+  async function createMessage(params) {
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams(params),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Twilio ${res.status}: ${json.message || res.statusText}`);
+    return { id: json.sid };
+  }
+
+  // A messaging service SID goes in MessagingServiceSid, a number in From
+  const sender = (from) => (from?.startsWith("MG") ? { MessagingServiceSid: from } : { From: from });
+
+  return {
+    name: "twilio",
+
+    sendSms: ({ to, text }) => createMessage({ To: to, Body: text, ...sender(process.env.TWILIO_SMS_FROM) }),
+
+    sendWhatsApp({ to, text, template, variables = [] }) {
+      const params = { To: `whatsapp:${to}`, From: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}` };
+      if (contentSids[template]) {
+        params.ContentSid = contentSids[template];
+        params.ContentVariables = JSON.stringify(Object.fromEntries(variables.map((v, i) => [String(i + 1), String(v)])));
+      } else {
+        params.Body = text;
+      }
+      return createMessage(params);
+    },
+
+    // Inbound webhook (form-encoded). Signature: base64 HMAC-SHA1 of the full URL + sorted params
+    parseInbound(req) {
+      const url = `${process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`}${req.originalUrl}`;
+      const params = req.body || {};
+      const payload = url + Object.keys(params).sort().map((k) => k + params[k]).join("");
+      const expected = crypto.createHmac("sha1", authToken).update(payload).digest("base64");
+      const received = String(req.headers["x-twilio-signature"] || "");
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))
+      ) {
+        return null;
+      }
+
+      const whatsapp = String(params.From || "").startsWith("whatsapp:");
+      return {
+        from: String(params.From || "").replace(/^whatsapp:/, ""),
+        body: String(params.Body || ""),
+        channel: whatsapp ? "whatsapp" : "sms",
+      };
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { templates } from "./templates.js";
+import {
+  createSendgridTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+} from "./transports.js";
+
+export const LOCALES = ["en", "hi"];
+export const DEFAULT_LOCALE = "en";
+
+const factories = {
+  sendgrid: createSendgridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+export const MAIL_TRANSPORTS = Object.keys(factories);
+
+let transport = null;
+
+/**
+ * The mail transport selected by MAIL_TRANSPORT (sendgrid | smtp | file | console, default sendgrid).
+ * Created on first use so dotenv has loaded the credentials by then.
+ */
+export function getMailTransport() {
+  if (transport) return transport;
+  const name = process.env.MAIL_TRANSPORT || "sendgrid";
+  if (!factories[name]) throw new Error(`Unknown mail transport "${name}"`);
+  transport = factories[name]();
+  return transport;
+}
+
+// Plain-text part for clients that don't render HTML
+function htmlToText(html) {
+  return html
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<\/(p|li|ul)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s+/g, "\n")
+    .trim();
+}
+
+/**
+ * Render a template without sending it: { subject, html, text }.
+ * Unknown locales, and templates without the requested locale, fall back to English.
+ */
+export function renderTemplate(name, locale, data) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown notification template "${name}"`);
+  const render = template[locale] || template[DEFAULT_LOCALE];
+  const { subject, html } = render(data);
+  return { subject, html, text: htmlToText(html) };
+}
@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+import Notification from "../../models/notification.js";
+import { renderTemplate, getMailTransport, DEFAULT_LOCALE } from "./index.js";
+import { getMessagingProvider } from "../messaging/index.js";
+import { renderMessage } from "../messaging/templates.js";
+import { acceptsChannel } from "../messaging/preferences.js";
+
+const MINUTE_MS = 60 * 1000;
+const SEND_TIMEOUT_MINUTES = 5;
+
+/**
+ * Retry settings, overridable with env:
+ *  - NOTIFICATION_MAX_ATTEMPTS (6): deliveries tried before a message is marked failed
+ *  - NOTIFICATION_RETRY_BASE_MINUTES (1): first retry delay, doubled after every failure
+ *  - NOTIFICATION_RETRY_MAX_MINUTES (360): longest delay between retries
+ */
+export function retrySettings() {
+  return {
+    maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6,
+    baseMinutes: Number(process.env.NOTIFICATION_RETRY_BASE_MINUTES) || 1,
+    maxMinutes: Number(process.env.NOTIFICATION_RETRY_MAX_MINUTES) || 360,
+  };
+}
+
+export function retryDelayMs(attempts) {
+  const { baseMinutes, maxMinutes } = retrySettings();
+  return Math.min(baseMinutes * 2 ** Math.max(0, attempts - 1), maxMinutes) * MINUTE_MS;
+}
+
+/**
+ * Render a notification into an outbox document (not saved). Returns null when there is nobody to send to.
+ *   { channel? ("email" | "sms" | "whatsapp"), template, to, locale?, data?, attachments?, booking? }
+ */
+export function buildNotification({ channel = "email", template, to, locale = DEFAULT_LOCALE, data = {}, attachments, booking }) {
+  const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+  if (recipients.length === 0) return null;
+
+  const base = { channel, template, locale, to: recipients, booking, maxAttempts: retrySettings().maxAttempts };
+  if (channel !== "email") {
+    const message = renderMessage(template, locale, channel, data);
+    return message && new Notification({ ...base, to: recipients.slice(0, 1), text: message.text, variables: message.variables });
+  }
+
+  const { subject, html, text } = renderTemplate(template, locale, data);
+  return new Notification({ ...base, subject, html, text, attachments });
+}
+
+/**
+ * Queue notifications on their own (the state they describe is already saved).
+ * Delivery starts straight away in the background.
+ */
+export async function queueNotifications(...notifications) {
+  const docs = notifications.map(buildNotification).filter(Boolean);
+  if (docs.length === 0) return [];
+  await Notification.insertMany(docs);
+  kickDelivery();
+  return docs;
+}
+
+let transactionsSupported = true;
+
+/**
+ * Helper: saveWithNotifications
+ * Saves `docs` (e.g. the booking that changed) and queues `notifications` in one transaction,
+ * so a message is queued if and only if the change it announces was saved.
+ * Standalone MongoDB servers have no transactions; there it saves, then queues.
+ */
+export async function saveWithNotifications(docs, notifications = []) {
+  const toSave = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+  const outbox = notifications.map(buildNotification).filter(Boolean);
+
+  if (transactionsSupported) {
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        for (const doc of toSave) await doc.save({ session });
+        if (outbox.length) await Notification.insertMany(outbox, { session });
+      });
+      kickDelivery();
+      return outbox;
+    } catch (err) {
+      if (!isTransactionsUnsupported(err)) throw err;
+      transactionsSupported = false;
+      console.warn("⚠️ MongoDB has no transactions (not a replica set); outbox writes follow the state change");
+    }
+  }
+
+  for (const doc of toSave) await doc.save();
+  if (outbox.length) await Notification.insertMany(outbox);
+  kickDelivery();
+  return outbox;
+}
+
+export function isTransactionsUnsupported(err) {
+  return err?.code === 20 || /Transaction numbers are only allowed/i.test(err?.message || "");
+}
+
+// Deliver soon without making the caller wait for the mail server
+function kickDelivery() {
+  setImmediate(() => deliverPendingNotifications().catch((err) => console.error("Notification delivery error:", err)));
+}
+
+let delivering = false;
+
+/**
+ * Helper: deliverPendingNotifications
+ * Sends due outbox messages one at a time. Failures are retried with exponential backoff
+ * until maxAttempts, then marked "failed" for an admin to look at.
+ * Returns { sent, retrying, failed } counts.
+ */
+export async function deliverPendingNotifications({ now = new Date(), limit = 50 } = {}) {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  if (delivering) return result; // one delivery loop per process
+  delivering = true;
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      // Claim the next due message (or one whose sender crashed mid-send)
+      const notification = await Notification.findOneAndUpdate(
+        {
+          $or: [
+            { status: "pending", nextAttemptAt: { $lte: now } },
+            { status: "sending", lockedUntil: { $lte: now } },
+          ],
+        },
+        { status: "sending", lockedUntil: new Date(Date.now() + SEND_TIMEOUT_MINUTES * MINUTE_MS), $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!notification) break;
+
+      try {
+        if (await deliver(notification)) {
+          notification.status = "sent";
+          notification.sentAt = new Date();
+          notification.lastError = undefined;
+          result.sent += 1;
+        } else {
+          notification.status = "skipped";
+          notification.lastError = `Customer opted out of ${notification.channel}`;
+        }
+      } catch (err) {
+        notification.lastError = err?.response?.body?.errors?.[0]?.message || err.message;
+        if (notification.attempts >= notification.maxAttempts) {
+          notification.status = "failed";
+          result.failed += 1;
+          console.error(`📧 Notification ${notification._id} (${notification.template}) failed: ${notification.lastError}`);
+        } else {
+          notification.status = "pending";
+          notification.nextAttemptAt = new Date(Date.now() + retryDelayMs(notification.attempts));
+          result.retrying += 1;
+        }
+      }
+      notification.lockedUntil = undefined;
+      await notification.save();
+    }
+  } finally {
+    delivering = false;
+  }
+
+  return result;
+}
+
+// Helper: send one outbox message on its channel. Returns false if the customer opted out since it was queued
+async function deliver(notification) {
+  if (notification.channel === "email") {
+    const transport = getMailTransport();
+    await transport.send({
+      from: `"${process.env.EMAIL_FROM_NAME || "Booking App"}" <${process.env.EMAIL_FROM}>`,
+      to: notification.to,
+      subject: notification.subject,
+      html: notification.html,
+      text: notification.text,
+      attachments: notification.attachments,
+    });
+    notification.transport = transport.name;
+    return true;
+  }
+
+  const [phone] = notification.to;
+  if (!(await acceptsChannel(phone, notification.channel))) return false;
+
+  const provider = getMessagingProvider();
+  const method = notification.channel === "sms" ? "sendSms" : "sendWhatsApp";
+  const { id } = await provider[method]({
+    to: phone,
+    text: notification.text,
+    template: notification.template,
+    variables: notification.variables,
+  });
+  notification.transport = provider.name;
+  notification.providerMessageId = id;
+  return true;
+}
+
+/**
+ * Put a failed (or stuck) message back in the queue with a fresh set of attempts.
+ */
+export async function retryNotification(id, now = new Date()) {
+  const notification = await Notification.findOneAndUpdate(
+    {
+      _id: id,
+      // A message being sent right now is left to its sender (it would go out twice)
+      $or: [{ status: { $in: ["failed", "pending"] } }, { status: "sending", lockedUntil: { $lte: now } }],
+    },
+    { status: "pending", attempts: 0, nextAttemptAt: new Date(), $unset: { lockedUntil: 1 } },
+    { new: true }
+  );
+  if (notification) kickDelivery();
+  return notification;
+}
@@ -0,0 +1,370 @@
+import { normalizeDateString } from "../availability.js";
+import { INSTALLMENT_LABELS } from "../paymentSchedule.js";
+
+/**
+ * Email templates by name and locale. Each takes the data queued with the notification in the
+ * outbox (utils/notifications/outbox.js) and returns { subject, html } (the plain-text part is derived from the html).
+ * Admin-facing templates are English only; missing locales fall back to English.
+ */
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Amounts are stored in paise
+const rupees = (paise) => `₹${((paise || 0) / 100).toLocaleString("en-IN")}`;
+const day = (date) => normalizeDateString(date);
+
+// "2025-12-20 (Night Program, 19:00–23:00)" when the booking's slot is populated
+function when(booking, slot = booking.slot) {
+  const label = slot?.name ? ` (${escapeHtml(slot.name)}, ${slot.startTime}–${slot.endTime})` : "";
+  return `${day(booking.date)}${label}`;
+}
+
+/**
+ * Reminder greeting from the days left until the event ("See you tomorrow"), so it stays right
+ * whichever days the event reminder is scheduled for. Also used by the SMS / WhatsApp versions.
+ */
+export function seeYou(daysLeft, locale) {
+  if (locale === "hi") {
+    if (daysLeft === 0) return "आज मिलते हैं";
+    if (daysLeft === 1) return "कल मिलते हैं";
+    return daysLeft > 1 ? `${daysLeft} दिन बाद मिलते हैं` : "जल्द मिलते हैं";
+  }
+  if (daysLeft === 0) return "See you today";
+  if (daysLeft === 1) return "See you tomorrow";
+  return daysLeft > 1 ? `See you in ${daysLeft} days` : "See you soon";
+}
+
+function installmentList(booking, locale) {
+  const labels = INSTALLMENT_LABELS[locale];
+  const due = locale === "hi" ? "देय तिथि" : "due";
+  const pay = locale === "hi" ? "अभी भुगतान करें" : "Pay Now";
+  const rows = booking.installments
+    .filter((i) => i.status === "pending")
+    .map(
+      (i) =>
+        `<li>${labels[i.kind]}: ${rupees(i.amount)} — ${due} ${day(i.dueDate)}${
+          i.paymentLinkUrl ? ` — <a href="${i.paymentLinkUrl}" target="_blank">${pay}</a>` : ""
+        }</li>`
+    )
+    .join("");
+  return rows ? `<ul>${rows}</ul>` : "";
+}
+
+// Event-day details for the eve reminder: arrival time, package and what's included
+// (from the package as booked; bookings made before snapshots fall back to the populated package)
+const DETAIL_LABELS = {
+  en: { time: "Time", package: "Package", guests: "Guests", included: "Included", menu: "Menu" },
+  hi: { time: "समय", package: "पैकेज", guests: "मेहमान", included: "शामिल", menu: "मेन्यू" },
+};
+
+function eventDetails(booking, locale) {
+  const labels = DETAIL_LABELS[locale];
+  const pkg = booking.packageSnapshot?.name ? booking.packageSnapshot : booking.package;
+  const menu = [...(pkg?.menu?.welcomeSweets || []), ...(pkg?.menu?.starters || []), ...(pkg?.menu?.mainCourse || [])];
+  const rows = [
+    booking.time && `<li>${labels.time}: ${escapeHtml(booking.time)}</li>`,
+    pkg?.name && `<li>${labels.package}: ${escapeHtml(pkg.name)}</li>`,
+    `<li>${labels.guests}: ${booking.guests}</li>`,
+    pkg?.included?.length && `<li>${labels.included}: ${pkg.included.map(escapeHtml).join(", ")}</li>`,
+    menu.length && `<li>${labels.menu}: ${menu.map(escapeHtml).join(", ")}</li>`,
+  ].filter(Boolean);
+  return `<ul>${rows.join("")}</ul>`;
+}
+
+const footer = {
+  en: (booking) => `<p>Booking ID: ${booking._id}</p>`,
+  hi: (booking) => `<p>बुकिंग आईडी: ${booking._id}</p>`,
+};
+
+export const templates = {
+  // --- Customer ---
+  bookingReceived: {
+    en: ({ booking, slot }) => ({
+      subject: "We've received your booking request",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Thank you! We've received your booking request for <b>${when(booking, slot)}</b>.</p>
+        <p>We'll review it and email you the confirmation and payment details shortly.</p>
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, slot }) => ({
+      subject: "आपका बुकिंग अनुरोध हमें मिल गया है",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p>धन्यवाद! <b>${when(booking, slot)}</b> के लिए आपका बुकिंग अनुरोध हमें मिल गया है।</p>
+        <p>हम इसकी समीक्षा करके जल्द ही आपको पुष्टि और भुगतान की जानकारी ईमेल करेंगे।</p>
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  bookingApproved: {
+    en: ({ booking }) => ({
+      subject: "Booking Approved - Complete Payment",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Your booking for <b>${when(booking)}</b> has been <b>approved</b>.</p>
+        <p>Please complete your payment using the links below:</p>
+        ${installmentList(booking, "en")}
+        <p>Total amount: ${rupees(booking.amount)}</p>
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking }) => ({
+      subject: "बुकिंग स्वीकृत - कृपया भुगतान करें",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p><b>${when(booking)}</b> के लिए आपकी बुकिंग <b>स्वीकृत</b> हो गई है।</p>
+        <p>कृपया नीचे दिए गए लिंक से भुगतान पूरा करें:</p>
+        ${installmentList(booking, "hi")}
+        <p>कुल राशि: ${rupees(booking.amount)}</p>
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  bookingRejected: {
+    en: ({ booking, reason }) => ({
+      subject: "Booking Rejected",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Sorry, your booking request for <b>${when(booking)}</b> has been rejected.</p>
+        ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, reason }) => ({
+      subject: "बुकिंग अस्वीकृत",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p>क्षमा करें, <b>${when(booking)}</b> के लिए आपका बुकिंग अनुरोध अस्वीकार कर दिया गया है।</p>
+        ${reason ? `<p>कारण: ${escapeHtml(reason)}</p>` : ""}
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  paymentReceived: {
+    en: ({ booking, documents = [] }) => ({
+      subject: "Payment received",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>We've received your payment for the booking on <b>${when(booking)}</b>. Thank you!</p>
+        <p>Paid so far: ${rupees(booking.amountPaid)} of ${rupees(booking.amount)}</p>
+        ${booking.amountPaid < booking.amount ? `<p>Remaining: ${rupees(booking.amount - booking.amountPaid)}</p>` : "<p>Your booking is fully paid.</p>"}
+        ${documents.length ? `<p>Attached: ${documents.map(escapeHtml).join(", ")}</p>` : ""}
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, documents = [] }) => ({
+      subject: "भुगतान प्राप्त हुआ",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p><b>${when(booking)}</b> की बुकिंग के लिए आपका भुगतान हमें मिल गया है। धन्यवाद!</p>
+        <p>अब तक भुगतान: ${rupees(booking.amount)} में से ${rupees(booking.amountPaid)}</p>
+        ${booking.amountPaid < booking.amount ? `<p>शेष राशि: ${rupees(booking.amount - booking.amountPaid)}</p>` : "<p>आपकी बुकिंग का पूरा भुगतान हो चुका है।</p>"}
+        ${documents.length ? `<p>संलग्न: ${documents.map(escapeHtml).join(", ")}</p>` : ""}
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  paymentReminder: {
+    en: ({ booking, installment }) => ({
+      subject: `Payment reminder: ${rupees(installment.amount)} due ${day(installment.dueDate)}`,
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>A friendly reminder that ${INSTALLMENT_LABELS.en[installment.kind].toLowerCase()} of <b>${rupees(installment.amount)}</b>
+          for your booking on <b>${when(booking)}</b> is due on <b>${day(installment.dueDate)}</b>.</p>
+        ${installment.paymentLinkUrl ? `<p><a href="${installment.paymentLinkUrl}" target="_blank">Pay Now</a></p>` : ""}
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, installment }) => ({
+      subject: `भुगतान अनुस्मारक: ${rupees(installment.amount)}, देय तिथि ${day(installment.dueDate)}`,
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p>याद दिला दें कि <b>${when(booking)}</b> की आपकी बुकिंग का ${INSTALLMENT_LABELS.hi[installment.kind]}
+          <b>${rupees(installment.amount)}</b> <b>${day(installment.dueDate)}</b> तक देय है।</p>
+        ${installment.paymentLinkUrl ? `<p><a href="${installment.paymentLinkUrl}" target="_blank">अभी भुगतान करें</a></p>` : ""}
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  eventReminder: {
+    en: ({ booking, daysLeft }) => ({
+      subject: `${seeYou(daysLeft, "en")}!`,
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Just a reminder that your event is on <b>${when(booking)}</b>. We look forward to hosting you!</p>
+        ${eventDetails(booking, "en")}
+        ${booking.amountPaid < booking.amount ? `<p>Outstanding balance: ${rupees(booking.amount - booking.amountPaid)}</p>` : ""}
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, daysLeft }) => ({
+      subject: `${seeYou(daysLeft, "hi")}!`,
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p>याद दिला दें कि आपका कार्यक्रम <b>${when(booking)}</b> को है। हम आपके स्वागत के लिए उत्सुक हैं!</p>
+        ${eventDetails(booking, "hi")}
+        ${booking.amountPaid < booking.amount ? `<p>बकाया राशि: ${rupees(booking.amount - booking.amountPaid)}</p>` : ""}
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  thankYou: {
+    en: ({ booking, feedbackUrl }) => ({
+      subject: "Thank you for celebrating with us",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Thank you for choosing us for your event on <b>${day(booking.date)}</b>. We hope you and your guests had a wonderful time!</p>
+        <p>We'd love to hear how it went: <a href="${feedbackUrl}" target="_blank">Share your feedback</a></p>
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, feedbackUrl }) => ({
+      subject: "हमारे साथ जश्न मनाने के लिए धन्यवाद",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p><b>${day(booking.date)}</b> के अपने कार्यक्रम के लिए हमें चुनने का धन्यवाद। आशा है आपको और आपके मेहमानों को बहुत आनंद आया!</p>
+        <p>हमें बताएं कि आपका अनुभव कैसा रहा: <a href="${feedbackUrl}" target="_blank">अपनी प्रतिक्रिया दें</a></p>
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  bookingExpired: {
+    en: ({ booking }) => ({
+      subject: "Booking Request Expired",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Your booking request for <b>${when(booking)}</b> has expired and the date has been released.</p>
+        <p>Please submit a new request if you'd still like to book.</p>
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking }) => ({
+      subject: "बुकिंग अनुरोध की अवधि समाप्त",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p><b>${when(booking)}</b> के लिए आपके बुकिंग अनुरोध की अवधि समाप्त हो गई है और यह तिथि अब उपलब्ध है।</p>
+        <p>यदि आप अभी भी बुक करना चाहते हैं तो कृपया नया अनुरोध भेजें।</p>
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  bookingCancelled: {
+    en: ({ booking, reason, refund }) => ({
+      subject: "Booking Cancelled",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Your booking for <b>${when(booking)}</b> has been <b>cancelled</b>.</p>
+        ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}
+        <p>Amount paid: ${rupees(booking.amountPaid)}</p>
+        <p>Non-refundable (${refund.nonRefundablePercent}%): ${rupees(refund.nonRefundableAmount)}</p>
+        <p>Refund: ${rupees(refund.refundedAmount)}${
+          refund.refundedAmount > 0 ? " (credited to your original payment method in 5–7 working days)" : ""
+        }</p>
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, reason, refund }) => ({
+      subject: "बुकिंग रद्द",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p><b>${when(booking)}</b> के लिए आपकी बुकिंग <b>रद्द</b> कर दी गई है।</p>
+        ${reason ? `<p>कारण: ${escapeHtml(reason)}</p>` : ""}
+        <p>भुगतान की गई राशि: ${rupees(booking.amountPaid)}</p>
+        <p>अप्रतिदेय (${refund.nonRefundablePercent}%): ${rupees(refund.nonRefundableAmount)}</p>
+        <p>रिफंड: ${rupees(refund.refundedAmount)}${
+          refund.refundedAmount > 0 ? " (5–7 कार्य दिवसों में आपके मूल भुगतान माध्यम में जमा होगा)" : ""
+        }</p>
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  bookingRescheduled: {
+    en: ({ booking, previousDate, previousAmount, slot }) => ({
+      subject: "Booking Rescheduled",
+      html: `
+        <p>Hello ${escapeHtml(booking.name)},</p>
+        <p>Your booking has been moved from <b>${day(previousDate)}</b> to <b>${when(booking, slot)}</b>.</p>
+        <p>Payments already made (${rupees(booking.amountPaid)}) carry over to the new date.</p>
+        ${booking.amount !== previousAmount ? `<p>Updated total: ${rupees(booking.amount)}</p>` : ""}
+        ${installmentList(booking, "en")}
+        ${footer.en(booking)}`,
+    }),
+    hi: ({ booking, previousDate, previousAmount, slot }) => ({
+      subject: "बुकिंग की तिथि बदली गई",
+      html: `
+        <p>नमस्ते ${escapeHtml(booking.name)},</p>
+        <p>आपकी बुकिंग <b>${day(previousDate)}</b> से <b>${when(booking, slot)}</b> पर स्थानांतरित कर दी गई है।</p>
+        <p>पहले किया गया भुगतान (${rupees(booking.amountPaid)}) नई तिथि पर मान्य रहेगा।</p>
+        ${booking.amount !== previousAmount ? `<p>संशोधित कुल राशि: ${rupees(booking.amount)}</p>` : ""}
+        ${installmentList(booking, "hi")}
+        ${footer.hi(booking)}`,
+    }),
+  },
+
+  waitlistOffer: {
+    en: ({ entry, claimUrl }) => ({
+      subject: "Good news — your date is available",
+      html: `
+        <p>Hello ${escapeHtml(entry.name)},</p>
+        <p>The date you were waiting for, <b>${day(entry.date)}</b>, is now available.</p>
+        <p>It is reserved for you until <b>${entry.offerExpiresAt.toLocaleString("en-IN")}</b>.</p>
+        <a href="${claimUrl}" target="_blank">Book Now</a>`,
+    }),
+    hi: ({ entry, claimUrl }) => ({
+      subject: "खुशखबरी — आपकी तिथि उपलब्ध है",
+      html: `
+        <p>नमस्ते ${escapeHtml(entry.name)},</p>
+        <p>जिस तिथि की आप प्रतीक्षा कर रहे थे, <b>${day(entry.date)}</b>, वह अब उपलब्ध है।</p>
+        <p>यह <b>${entry.offerExpiresAt.toLocaleString("hi-IN")}</b> तक आपके लिए आरक्षित है।</p>
+        <a href="${claimUrl}" target="_blank">अभी बुक करें</a>`,
+    }),
+  },
+
+  customerLoginCode: {
+    en: ({ name, code, loginUrl, expiresInMinutes }) => ({
+      subject: "Your booking login code",
+      html: `
+        <p>Hello ${escapeHtml(name)},</p>
+        <p>Your login code is <b>${code}</b>.</p>
+        <p>Or sign in directly: <a href="${loginUrl}" target="_blank">View my bookings</a></p>
+        <p>This code and link expire in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this email.</p>`,
+    }),
+    hi: ({ name, code, loginUrl, expiresInMinutes }) => ({
+      subject: "आपका बुकिंग लॉगिन कोड",
+      html: `
+        <p>नमस्ते ${escapeHtml(name)},</p>
+        <p>आपका लॉगिन कोड <b>${code}</b> है।</p>
+        <p>या सीधे साइन इन करें: <a href="${loginUrl}" target="_blank">मेरी बुकिंग देखें</a></p>
+        <p>यह कोड और लिंक ${expiresInMinutes} मिनट में समाप्त हो जाएंगे। यदि आपने इसका अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।</p>`,
+    }),
+  },
+
+  // --- Admin ---
+  newBookingRequest: {
+    en: ({ booking, slot }) => ({
+      subject: "New Booking Request",
+      html: `
+        <p>A new booking request has been submitted by <b>${escapeHtml(booking.name)}</b>
+          (${escapeHtml(booking.email)}${booking.phone ? `, ${escapeHtml(booking.phone)}` : ""}).</p>
+        <p>Date: ${when(booking, slot)}</p>
+        ${booking.quote?.total != null ? `<p>Quoted: ₹${booking.quote.total.toLocaleString("en-IN")}</p>` : ""}
+        ${footer.en(booking)}`,
+    }),
+  },
+
+  adminInvite: {
+    en: ({ name, role, inviteUrl, expiresInHours }) => ({
+      subject: "You've been invited to manage bookings",
+      html: `
+        <p>Hello${name ? ` ${escapeHtml(name)}` : ""},</p>
+        <p>You've been invited as <b>${role}</b> on the booking admin panel.</p>
+        <p><a href="${inviteUrl}" target="_blank">Accept the invitation</a>
+          to set your password. The link expires in ${expiresInHours} hours.</p>`,
+    }),
+  },
+
+  adminPasswordReset: {
+    en: ({ name, resetUrl, expiresInMinutes }) => ({
+      subject: "Reset your admin password",
+      html: `
+        <p>Hello${name ? ` ${escapeHtml(name)}` : ""},</p>
+        <p>We received a request to reset your admin password.</p>
+        <p><a href="${resetUrl}" target="_blank">Choose a new password</a>. The link expires in ${expiresInMinutes} minutes.</p>
+        <p>If you didn't ask for this, you can ignore this email.</p>`,
+    }),
+  },
+};
@@ -0,0 +1,78 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sgMail from "@sendgrid/mail";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transports — each returns { name, send(message) } where message is
+ *   { from, to, subject, html, text, attachments?: [{ filename, content: Buffer | string, contentType }] }
+ */
+
+// SendGrid (SENDGRID_API_KEY)
+export function createSendgridTransport() {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: "sendgrid",
+    send: ({ attachments = [], ...message }) =>
+      sgMail.send({
+        ...message,
+        attachments: attachments.map((a) => ({
+          filename: a.filename,
+          type: a.contentType,
+          disposition: "attachment",
+          content: Buffer.from(a.content).toString("base64"),
+        })),
+      }),
+  };
+}
+
+// SMTP via nodemailer (EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE, GMAIL_USER, GMAIL_PASS)
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: Number(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === "true",
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_PASS,
+    },
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// Development/tests: one JSON file per email in MAIL_FILE_DIR (default: <tmp>/booking-mail)
+export function createFileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "booking-mail");
+
+  return {
+    name: "file",
+    async send({ attachments = [], ...message }) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${String(message.to).replace(/[^\w.@-]/g, "_")}.json`);
+      const saved = {
+        ...message,
+        attachments: attachments.map((a) => ({ filename: a.filename, contentType: a.contentType, size: a.content.length })),
+      };
+      await fs.writeFile(file, JSON.stringify(saved, null, 2));
+      return { file };
+    },
+  };
+}
+
+// Development: print the email instead of sending it
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send({ to, subject, text, attachments = [] }) {
+      console.log(`📧 [mail] To: ${to}\n   Subject: ${subject}\n${text}${
+        attachments.length ? `\n   Attachments: ${attachments.map((a) => a.filename).join(", ")}` : ""
+      }`);
+    },
+  };
+}
@@ -0,0 +1,66 @@
+import { issueBookingDocuments, documentAttachment } from "./invoices/index.js";
+import { calendarAttachments } from "./calendar.js";
+import { queueNotifications } from "./notifications/outbox.js";
+import { customerNotifications } from "./messaging/preferences.js";
+import { syncBookingJobs } from "./scheduler.js";
+
+/**
+ * What happens once a payment is recorded, whether it came in by webhook or was found by
+ * reconciliation (utils/reconciliation.js) after a missed webhook.
+ */
+
+/**
+ * Helper: sendPaymentConfirmation
+ * Issues the receipt for a new payment (and the GST invoice once the booking is fully paid)
+ * and queues the payment confirmation with them and the event's .ics attached. The confirmation
+ * still goes out if the documents can't be issued; they can be downloaded later.
+ */
+export async function sendPaymentConfirmation(booking) {
+  let issued = [];
+  let attachments = [];
+  try {
+    ({ issued } = await issueBookingDocuments(booking));
+    attachments = await Promise.all(issued.map(documentAttachment));
+  } catch (err) {
+    console.error(`Failed issuing invoice documents for ${booking._id}:`, err);
+  }
+
+  attachments.push(...(await calendarAttachments(booking)));
+  const data = { booking, documents: issued.map((d) => d.number) };
+  await queueNotifications(...(await customerNotifications("paymentReceived", booking, data, { attachments })));
+}
+
+/**
+ * Helper: afterPaymentEvent
+ * What follows a payment event applied by the webhook or by reconciliation (applyPaymentEvent's result):
+ * a newly paid installment gets its confirmation, receipt / invoice and re-planned reminders; a payment
+ * that arrived after the booking closed is flagged to the admins. Never throws — the event is already saved.
+ */
+export async function afterPaymentEvent({ booking, paid, latePayment }, { io, event } = {}) {
+  try {
+    if (paid) await sendPaymentConfirmation(booking);
+    await syncBookingJobs(booking); // drops reminders for installments now paid
+  } catch (err) {
+    console.error("Failed queueing payment received notifications:", err);
+  }
+
+  if (latePayment) {
+    console.warn(`⚠️ Payment ${latePayment.paymentId} received for booking ${booking._id} after it closed (${latePayment.reason})`);
+    io?.emit("latePaymentReceived", {
+      bookingId: booking._id,
+      name: booking.name,
+      paymentId: latePayment.paymentId,
+      amount: latePayment.amount,
+      reason: latePayment.reason,
+    });
+  }
+
+  // 🔔 Real-time update
+  io?.emit("paymentUpdate", {
+    bookingId: booking._id,
+    event,
+    isPaid: booking.isPaid,
+    paymentStatus: booking.paymentStatus,
+    name: booking.name,
+  });
+}
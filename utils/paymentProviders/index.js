@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import Booking from "../../models/booking.js";
+import { markInstallmentPaid, markInstallmentUnpaid } from "../paymentSchedule.js";
+import { createRazorpayProvider } from "./razorpay.js";
+import { createStripeProvider } from "./stripe.js";
+
+/**
+ * Payment provider interface — every provider returns an object with:
+ *  - name
+ *  - createPaymentLink({ booking, installment, description }) → { id, url }
+ *  - cancelPaymentLink(id)
+ *  - fetchPaymentLink(id) → { status: "paid" | "pending" | "expired" | "cancelled", paymentId, amountPaid }
+ *  - refund({ paymentId, amount, notes }) → { id, amount, status }
+ *  - verifyWebhook(rawBody, headers) → parsed event, or null if the signature is invalid
+ *  - webhookEventId(event, rawBody, headers) → id used to de-duplicate deliveries
+ *  - normalizeEvent(event) → payment event (see applyPaymentEvent), or null if not handled
+ * Amounts are always in paise.
+ */
+const factories = {
+  razorpay: createRazorpayProvider,
+  stripe: createStripeProvider,
+};
+
+export const PAYMENT_PROVIDERS = Object.keys(factories);
+
+const instances = {};
+
+/**
+ * Provider by name (defaults to PAYMENT_PROVIDER, then "razorpay").
+ * Clients are created on first use so dotenv has loaded the keys by then.
+ */
+export function getPaymentProvider(name) {
+  const key = name || process.env.PAYMENT_PROVIDER || "razorpay";
+  if (!factories[key]) throw new Error(`Unknown payment provider "${key}"`);
+  instances[key] = instances[key] || factories[key]();
+  return instances[key];
+}
+
+/**
+ * Cancel the payment links of `installments` with the provider each was issued by (best-effort).
+ */
+export async function cancelPaymentLinks(booking, installments) {
+  for (const installment of installments) {
+    if (!installment.paymentLinkId) continue;
+    try {
+      await getPaymentProvider(installment.provider || booking.paymentProvider).cancelPaymentLink(
+        installment.paymentLinkId
+      );
+    } catch (err) {
+      console.warn(`Could not cancel payment link ${installment.paymentLinkId}:`, err?.error?.description || err.message);
+    }
+  }
+}
+
+// Helper: find the booking an event belongs to (ids first, then link/payment ids)
+async function findBookingFor({ bookingId, paymentLinkId, paymentId }) {
+  if (bookingId && mongoose.isValidObjectId(bookingId)) {
+    const booking = await Booking.findById(bookingId);
+    if (booking) return booking;
+  }
+  if (paymentLinkId) {
+    const booking = await Booking.findOne({ "installments.paymentLinkId": paymentLinkId });
+    if (booking) return booking;
+  }
+  if (paymentId) {
+    return Booking.findOne({ $or: [{ "installments.paymentId": paymentId }, { paymentId }] });
+  }
+  return null;
+}
+
+// Helper: the installment an event refers to
+function findInstallment(booking, { installmentId, paymentLinkId, paymentId }) {
+  const byId = installmentId && mongoose.isValidObjectId(installmentId) && booking.installments.id(installmentId);
+  if (byId) return byId;
+  return (
+    booking.installments.find((i) => paymentLinkId && i.paymentLinkId === paymentLinkId) ||
+    booking.installments.find((i) => paymentId && i.paymentId === paymentId) ||
+    null
+  );
+}
+
+// Booking statuses that no longer take payments (e.g. the hold expired before the customer paid)
+const CLOSED_STATUSES = ["rejected", "cancelled", "expired"];
+
+// Helper: keep a payment that arrived too late to apply, once per payment id, for an admin to refund
+function flagLatePayment(booking, event, installment, reason) {
+  const existing = booking.latePayments.find((p) => p.paymentId === event.paymentId);
+  if (existing) return null;
+  booking.latePayments.push({
+    paymentId: event.paymentId,
+    provider: installment?.provider || booking.paymentProvider,
+    installmentId: installment?._id,
+    amount: event.amount ?? installment?.amount,
+    reason,
+  });
+  return booking.latePayments[booking.latePayments.length - 1];
+}
+
+// Helper: processed refunds of the payments counted in amountPaid (not of late payments)
+function refundedTotal(booking) {
+  const late = new Set(booking.latePayments.map((p) => p.paymentId));
+  return booking.refunds
+    .filter((r) => r.status === "processed" && !late.has(r.paymentId))
+    .reduce((sum, r) => sum + (r.amount || 0), 0);
+}
+
+/**
+ * Apply a normalized payment event to its booking's payment fields — the same for every provider.
+ *   { type: "paid" | "failed" | "expired" | "refunded",
+ *     bookingId?, installmentId?, paymentLinkId?, paymentId?, amount?, refund?: { id, paymentId, amount } }
+ * A payment for a cancelled installment, or for a booking that was rejected, cancelled or expired,
+ * isn't applied: it's kept in booking.latePayments for an admin to refund.
+ * Returns { booking, paid, latePayment } — `paid` is true only when an installment (or a legacy booking)
+ * changed to paid, so repeated deliveries of one payment (Razorpay sends payment.captured and
+ * payment_link.paid) confirm it once — or null when the event is not for a booking we know.
+ */
+export async function applyPaymentEvent(event) {
+  const booking = await findBookingFor(event);
+  if (!booking) return null;
+
+  const installment = findInstallment(booking, event);
+  let paid = false;
+  let latePayment = null;
+
+  switch (event.type) {
+    case "paid":
+      if (installment?.status === "paid" || (!installment && booking.isPaid)) break; // already recorded
+
+      if (CLOSED_STATUSES.includes(booking.status) || installment?.status === "cancelled") {
+        const reason = installment?.status === "cancelled" ? "Installment cancelled" : `Booking ${booking.status}`;
+        latePayment = flagLatePayment(booking, event, installment, reason);
+      } else if (installment) {
+        markInstallmentPaid(booking, installment._id, event.paymentId);
+        paid = true;
+      } else if (booking.installments.length === 0) {
+        // Links created before payment schedules existed pay the whole amount
+        booking.isPaid = true;
+        booking.paymentId = event.paymentId;
+        booking.paymentStatus = "paid";
+        booking.amountPaid = booking.amount;
+        booking.holdExpiresAt = undefined;
+        paid = true;
+      }
+      break;
+
+    case "failed":
+      if (installment) markInstallmentUnpaid(booking, installment._id, "failed");
+      else if (!booking.isPaid) booking.paymentStatus = "failed";
+      break;
+
+    case "expired":
+      if (installment) markInstallmentUnpaid(booking, installment._id, "expired");
+      break;
+
+    case "refunded": {
+      const existing = booking.refunds.find((r) => r.refundId === event.refund.id);
+      if (existing) existing.status = "processed";
+      else {
+        // Refund issued outside the app (e.g. from the provider's dashboard)
+        booking.refunds.push({
+          refundId: event.refund.id,
+          paymentId: event.refund.paymentId,
+          amount: event.refund.amount,
+          status: "processed",
+        });
+      }
+      // Only a full refund of what was paid makes the booking "refunded"; a partial one
+      // (e.g. a goodwill refund from the dashboard on an active booking) leaves the status alone
+      if (booking.amountPaid > 0 && refundedTotal(booking) >= booking.amountPaid) {
+        booking.paymentStatus = "refunded";
+        booking.isPaid = false;
+      }
+      if (booking.status === "cancelled") {
+        booking.cancellation.refundedAmount = booking.refunds.reduce((sum, r) => sum + r.amount, 0);
+      }
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  await booking.save();
+  return { booking, paid, latePayment };
+}
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+
+const LINK_EVENTS = {
+  "payment_link.paid": "paid",
+  "payment_link.expired": "expired",
+};
+
+/**
+ * Razorpay implementation of the payment provider interface (see ./index.js).
+ * Installments are paid through Razorpay Payment Links.
+ */
+export function createRazorpayProvider() {
+  const client = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET,
+  });
+
+  return {
+    name: "razorpay",
+    client,
+
+    async createPaymentLink({ booking, installment, description }) {
+      const link = await client.paymentLink.create({
+        amount: installment.amount, // in paise
+        currency: "INR",
+        description,
+        customer: {
+          name: booking.name,
+          email: booking.email,
+          contact: booking.phone,
+        },
+        notify: {
+          sms: true,
+          email: true,
+        },
+        reminder_enable: true,
+        notes: {
+          bookingId: booking._id.toString(),
+          installmentId: installment._id.toString(),
+        },
+        callback_url: `${process.env.FRONTEND_URL}/payment-success?bookingId=${booking._id}`,
+        callback_method: "get",
+      });
+      return { id: link.id, url: link.short_url };
+    },
+
+    async cancelPaymentLink(id) {
+      await client.paymentLink.cancel(id);
+    },
+
+    // Current state of a payment link: { status: "paid" | "pending" | "expired" | "cancelled", paymentId, amountPaid }
+    async fetchPaymentLink(id) {
+      const link = await client.paymentLink.fetch(id);
+      const captured = (link.payments || []).filter((p) => p.status === "captured");
+      const statusMap = { paid: "paid", expired: "expired", cancelled: "cancelled" };
+      return {
+        status: statusMap[link.status] || "pending",
+        paymentId: captured[captured.length - 1]?.payment_id,
+        amountPaid: link.amount_paid || 0,
+      };
+    },
+
+    async refund({ paymentId, amount, notes }) {
+      const refund = await client.payments.refund(paymentId, { amount, speed: "normal", notes });
+      return { id: refund.id, amount: refund.amount ?? amount, status: refund.status };
+    },
+
+    // Returns the parsed event, or null when X-Razorpay-Signature doesn't match the raw body
+    verifyWebhook(rawBody, headers) {
+      const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+      const signature = headers["x-razorpay-signature"];
+      if (!rawBody || !signature || !secret) return null;
+
+      const expected = Buffer.from(crypto.createHmac("sha256", secret).update(rawBody).digest("hex"), "utf8");
+      const received = Buffer.from(String(signature), "utf8");
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+      return JSON.parse(rawBody.toString("utf8"));
+    },
+
+    // Razorpay sends the same x-razorpay-event-id on every retry of a delivery
+    webhookEventId(event, rawBody, headers) {
+      return headers["x-razorpay-event-id"] || crypto.createHash("sha256").update(rawBody).digest("hex");
+    },
+
+    normalizeEvent(event) {
+      const payment = event.payload?.payment?.entity;
+      const paymentLink = event.payload?.payment_link?.entity;
+      const refund = event.payload?.refund?.entity;
+
+      switch (event.event) {
+        case "payment.captured":
+        case "payment.failed":
+          return {
+            type: event.event === "payment.captured" ? "paid" : "failed",
+            bookingId: payment.notes?.bookingId,
+            installmentId: payment.notes?.installmentId,
+            paymentId: payment.id,
+            amount: payment.amount,
+          };
+        case "payment_link.paid":
+        case "payment_link.expired":
+          return {
+            type: LINK_EVENTS[event.event],
+            bookingId: paymentLink.notes?.bookingId,
+            installmentId: paymentLink.notes?.installmentId,
+            paymentLinkId: paymentLink.id,
+            paymentId: payment?.id,
+            amount: payment?.amount ?? paymentLink.amount_paid,
+          };
+        case "refund.processed":
+          return {
+            type: "refunded",
+            bookingId: refund.notes?.bookingId,
+            paymentId: refund.payment_id,
+            refund: { id: refund.id, paymentId: refund.payment_id, amount: refund.amount },
+          };
+        default:
+          return null;
+      }
+    },
+  };
+}
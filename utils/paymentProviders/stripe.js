@@ -0,0 +1,124 @@
+import Stripe from "stripe";
+
+/**
+ * Stripe implementation of the payment provider interface (see ./index.js).
+ * Installments are paid through Stripe Checkout sessions (international cards).
+ * Stripe's "payment id" is the PaymentIntent id.
+ */
+export function createStripeProvider() {
+  const client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  const currency = (process.env.STRIPE_CURRENCY || "inr").toLowerCase();
+
+  return {
+    name: "stripe",
+    client,
+
+    async createPaymentLink({ booking, installment, description }) {
+      const metadata = {
+        bookingId: booking._id.toString(),
+        installmentId: installment._id.toString(),
+      };
+      const session = await client.checkout.sessions.create({
+        mode: "payment",
+        customer_email: booking.email,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency,
+              unit_amount: installment.amount, // in paise
+              product_data: { name: description },
+            },
+          },
+        ],
+        metadata,
+        payment_intent_data: { metadata },
+        success_url: `${process.env.FRONTEND_URL}/payment-success?bookingId=${booking._id}`,
+        cancel_url: `${process.env.FRONTEND_URL}/payment-cancelled?bookingId=${booking._id}`,
+      });
+      return { id: session.id, url: session.url };
+    },
+
+    async cancelPaymentLink(id) {
+      await client.checkout.sessions.expire(id);
+    },
+
+    // Current state of a Checkout session: { status: "paid" | "pending" | "expired", paymentId, amountPaid }
+    async fetchPaymentLink(id) {
+      const session = await client.checkout.sessions.retrieve(id);
+      const paid = session.payment_status === "paid";
+      return {
+        status: paid ? "paid" : session.status === "expired" ? "expired" : "pending",
+        paymentId: session.payment_intent || undefined,
+        amountPaid: paid ? session.amount_total : 0,
+      };
+    },
+
+    async refund({ paymentId, amount, notes }) {
+      const refund = await client.refunds.create({ payment_intent: paymentId, amount, metadata: notes });
+      return { id: refund.id, amount: refund.amount ?? amount, status: refund.status };
+    },
+
+    // Returns the parsed event, or null when Stripe-Signature doesn't match the raw body
+    verifyWebhook(rawBody, headers) {
+      try {
+        return client.webhooks.constructEvent(
+          rawBody,
+          headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch {
+        return null;
+      }
+    },
+
+    webhookEventId(event) {
+      return event.id;
+    },
+
+    normalizeEvent(event) {
+      const object = event.data?.object || {};
+
+      switch (event.type) {
+        case "checkout.session.completed":
+        case "checkout.session.async_payment_succeeded":
+          // Delayed payment methods complete the session before the money arrives
+          if (object.payment_status !== "paid") return null;
+          return {
+            type: "paid",
+            bookingId: object.metadata?.bookingId,
+            installmentId: object.metadata?.installmentId,
+            paymentLinkId: object.id,
+            paymentId: object.payment_intent,
+            amount: object.amount_total,
+          };
+        case "checkout.session.async_payment_failed":
+        case "checkout.session.expired":
+          return {
+            type: event.type === "checkout.session.expired" ? "expired" : "failed",
+            bookingId: object.metadata?.bookingId,
+            installmentId: object.metadata?.installmentId,
+            paymentLinkId: object.id,
+          };
+        case "payment_intent.payment_failed":
+          return {
+            type: "failed",
+            bookingId: object.metadata?.bookingId,
+            installmentId: object.metadata?.installmentId,
+            paymentId: object.id,
+          };
+        case "refund.updated":
+        case "refund.created":
+          if (object.status !== "succeeded") return null;
+          return {
+            type: "refunded",
+            bookingId: object.metadata?.bookingId,
+            paymentId: object.payment_intent,
+            refund: { id: object.id, paymentId: object.payment_intent, amount: object.amount },
+          };
+        default:
+          return null;
+      }
+    },
+  };
+}
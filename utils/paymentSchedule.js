@@ -0,0 +1,131 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Installment names by locale, for payment link descriptions, receipts, invoices and emails
+export const INSTALLMENT_LABELS = {
+  en: { advance: "Advance deposit", balance: "Balance payment", full: "Full payment" },
+  hi: { advance: "अग्रिम राशि", balance: "शेष भुगतान", full: "पूर्ण भुगतान" },
+};
+
+/**
+ * Build the installments for a booking total (paise).
+ * - advance: `advancePercent` of the total, due now
+ * - balance: the rest, due `balanceDueDays` before the event
+ * If the balance would already be due (event too close) a single "full" installment is returned.
+ * Defaults follow the package terms ("25% of the booking amount is non-refundable"),
+ * overridable with ADVANCE_PERCENT / BALANCE_DUE_DAYS.
+ */
+export function buildSchedule({
+  total,
+  eventDate,
+  advancePercent = Number(process.env.ADVANCE_PERCENT) || 25,
+  balanceDueDays = Number(process.env.BALANCE_DUE_DAYS) || 7,
+  now = new Date(),
+}) {
+  const balanceDue = new Date(new Date(eventDate).getTime() - balanceDueDays * DAY_MS);
+
+  if (advancePercent >= 100 || balanceDue <= now) {
+    return [{ kind: "full", amount: total, dueDate: now }];
+  }
+
+  const advance = Math.round((total * advancePercent) / 100);
+  return [
+    { kind: "advance", amount: advance, dueDate: now },
+    { kind: "balance", amount: total - advance, dueDate: balanceDue },
+  ];
+}
+
+/**
+ * Recompute amountPaid / paymentStatus / isPaid from the installments.
+ */
+export function syncPaymentStatus(booking) {
+  const installments = booking.installments || [];
+  const paid = installments.filter((i) => i.status === "paid");
+
+  booking.amountPaid = paid.reduce((sum, i) => sum + i.amount, 0);
+  // Any payment confirms the booking, so its tentative hold no longer expires
+  if (booking.amountPaid > 0) booking.holdExpiresAt = undefined;
+
+  if (booking.paymentStatus === "refunded") return booking;
+
+  if (installments.length > 0 && paid.length === installments.length) {
+    booking.paymentStatus = "paid";
+  } else if (paid.length > 0) {
+    booking.paymentStatus = "partially_paid";
+  } else if (installments.some((i) => i.status === "failed")) {
+    booking.paymentStatus = "failed";
+  } else {
+    booking.paymentStatus = "unpaid";
+  }
+  booking.isPaid = booking.paymentStatus === "paid";
+  return booking;
+}
+
+/**
+ * Mark an installment paid and resync the booking's payment fields.
+ * Returns the installment, or null if it isn't on this booking.
+ */
+export function markInstallmentPaid(booking, installmentId, paymentId, paidAt = new Date()) {
+  const installment = booking.installments?.id(installmentId);
+  if (!installment) return null;
+
+  installment.status = "paid";
+  installment.paymentId = paymentId;
+  installment.paidAt = installment.paidAt || paidAt;
+  booking.paymentId = paymentId;
+  syncPaymentStatus(booking);
+  return installment;
+}
+
+/**
+ * Move a pending/failed installment to "failed" or "expired" and resync.
+ * Paid installments are never downgraded. Returns the installment or null.
+ */
+export function markInstallmentUnpaid(booking, installmentId, status) {
+  const installment = booking.installments?.id(installmentId);
+  if (!installment) return null;
+
+  if (installment.status !== "paid" && installment.status !== "cancelled") {
+    installment.status = status;
+  }
+  syncPaymentStatus(booking);
+  return installment;
+}
+
+/**
+ * Re-fit a booking's unpaid installments after its date or total changed (paise).
+ * Payments already made are kept; open installments either move to the new due date
+ * (same total) or are cancelled and replaced by one installment for what's left.
+ * Returns { cancelled, created, overpaid } — callers cancel/create the payment links.
+ */
+export function rebalanceSchedule(booking, {
+  total,
+  eventDate,
+  balanceDueDays = Number(process.env.BALANCE_DUE_DAYS) || 7,
+  now = new Date(),
+}) {
+  const dueDate = new Date(Math.max(now.getTime(), new Date(eventDate).getTime() - balanceDueDays * DAY_MS));
+  const open = booking.installments.filter((i) => ["pending", "failed", "expired"].includes(i.status));
+  const paidTotal = booking.installments.filter((i) => i.status === "paid").reduce((sum, i) => sum + i.amount, 0);
+
+  if (total === booking.amount) {
+    open.filter((i) => i.kind === "balance").forEach((i) => (i.dueDate = dueDate));
+    return { cancelled: [], created: [], overpaid: 0 };
+  }
+
+  open.forEach((i) => (i.status = "cancelled"));
+  booking.amount = total;
+
+  const outstanding = total - paidTotal;
+  let created = [];
+  if (outstanding > 0 && paidTotal === 0) {
+    created = buildSchedule({ total, eventDate, balanceDueDays, now });
+  } else if (outstanding > 0) {
+    created = [{ kind: "balance", amount: outstanding, dueDate }];
+  }
+  created.forEach((i) => booking.installments.push(i));
+  // Pushed subdocuments (with their _ids) are what callers create links for
+  created = booking.installments.slice(booking.installments.length - created.length);
+
+  syncPaymentStatus(booking);
+  return { cancelled: open, created, overpaid: Math.max(0, -outstanding) };
+}
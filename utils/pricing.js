@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import Package from "../models/package.js";
+import { normalizeDateString } from "./availability.js";
+
+/**
+ * Error raised when a quote can't be produced for the given input
+ * (unknown package, bad guest count, guests over the top tier...).
+ */
+export class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "QuoteError";
+    this.status = status;
+  }
+}
+
+/**
+ * Find a package by id, falling back to its name (bookings store the package as text).
+ */
+export async function findPackage(value) {
+  if (!value) return null;
+  if (mongoose.isValidObjectId(value)) {
+    const byId = await Package.findById(value);
+    if (byId) return byId;
+  }
+  return Package.findOne({ name: String(value).trim() });
+}
+
+/**
+ * Pick the smallest perPersonPricing tier that fits `guests`.
+ * Returns null when guests exceed the top tier.
+ */
+export function pickTier(tiers, guests) {
+  const sorted = [...(tiers || [])]
+    .filter((t) => t.peopleCount > 0 && t.price >= 0)
+    .sort((a, b) => a.peopleCount - b.peopleCount);
+  return sorted.find((t) => t.peopleCount >= guests) || null;
+}
+
+/**
+ * Compute an itemised quote (amounts in rupees) for a package.
+ * Returns:
+ *  { package: { _id, name, category, pricingType }, guests, date, slot,
+ *    tier, items: [{ label, amount }], total, manualPricingRequired }
+ * "custom" packages return manualPricingRequired: true and total: null.
+ */
+export function computeQuote({ pkg, guests, date, slot }) {
+  if (!pkg) throw new QuoteError("Package not found", 404);
+
+  const guestCount = Number(guests);
+  if (!Number.isInteger(guestCount) || guestCount < 1) {
+    throw new QuoteError("Valid guest count is required");
+  }
+
+  const quote = {
+    package: { _id: pkg._id, name: pkg.name, category: pkg.category, pricingType: pkg.pricingType },
+    guests: guestCount,
+    date: date || null,
+    slot: slot ? { _id: slot._id, name: slot.name } : null,
+    tier: null,
+    items: [],
+    total: null,
+    manualPricingRequired: false,
+  };
+
+  switch (pkg.pricingType) {
+    case "fixed": {
+      if (pkg.fixedPrice == null) throw new QuoteError("Package has no fixed price configured", 422);
+      quote.items.push({ label: pkg.name, amount: pkg.fixedPrice });
+      break;
+    }
+    case "perPerson": {
+      const tier = pickTier(pkg.perPersonPricing, guestCount);
+      if (!tier) {
+        const max = Math.max(0, ...(pkg.perPersonPricing || []).map((t) => t.peopleCount || 0));
+        throw new QuoteError(`Guest count exceeds the largest tier for this package (${max} people)`);
+      }
+      quote.tier = { peopleCount: tier.peopleCount, price: tier.price };
+      quote.items.push({ label: `${pkg.name} (up to ${tier.peopleCount} guests)`, amount: tier.price });
+      break;
+    }
+    case "custom":
+    default:
+      quote.manualPricingRequired = true;
+      return quote;
+  }
+
+  quote.total = quote.items.reduce((sum, item) => sum + item.amount, 0);
+  return quote;
+}
+
+/**
+ * Immutable copy of a package as it was when the booking was made.
+ * Keeps the pricing rules so later quotes for the booking use the booked price.
+ */
+export function buildPackageSnapshot(pkg, tier = null) {
+  return {
+    name: pkg.name,
+    category: pkg.category,
+    description: pkg.description,
+    pricingType: pkg.pricingType,
+    fixedPrice: pkg.fixedPrice,
+    perPersonPricing: (pkg.perPersonPricing || []).map((t) => ({ peopleCount: t.peopleCount, price: t.price })),
+    tier,
+    included: [...(pkg.included || [])],
+    excluded: [...(pkg.excluded || [])],
+    menu: {
+      welcomeSweets: [...(pkg.menu?.welcomeSweets || [])],
+      starters: [...(pkg.menu?.starters || [])],
+      mainCourse: [...(pkg.menu?.mainCourse || [])],
+    },
+    terms: [...(pkg.terms || [])],
+    nonRefundablePercent: pkg.nonRefundablePercent,
+    capturedAt: new Date(),
+  };
+}
+
+/**
+ * Quote a booking from its package snapshot (price at booking time).
+ * Legacy bookings without a snapshot are quoted from the current package.
+ * Expects booking.slot to be populated when a slot name is wanted in the quote.
+ */
+export async function quoteForBooking(booking, { guests = booking.guests, date = booking.date } = {}) {
+  const plain = typeof booking.toObject === "function" ? booking.toObject() : booking;
+  const snapshot = plain.packageSnapshot?.pricingType ? plain.packageSnapshot : null;
+  const pkg = snapshot
+    ? { ...snapshot, _id: plain.package?._id ?? plain.package }
+    : await findPackage(plain.package?._id ?? plain.package);
+
+  return computeQuote({
+    pkg,
+    guests,
+    date: date ? normalizeDateString(date) : null,
+    slot: booking.slot?.name ? booking.slot : null,
+  });
+}
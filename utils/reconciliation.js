@@ -0,0 +1,97 @@
+import Booking from "../models/booking.js";
+import ReconciliationReport from "../models/reconciliationReport.js";
+import { getPaymentProvider, applyPaymentEvent } from "./paymentProviders/index.js";
+import { afterPaymentEvent } from "./paymentFollowUp.js";
+
+// Installment states that may be out of date if a webhook was missed
+const OUTSTANDING = ["pending", "failed", "expired"];
+
+// Provider status → normalized payment event type (see applyPaymentEvent)
+const EVENT_FOR_STATUS = { paid: "paid", expired: "expired" };
+
+/**
+ * Helper: reconcilePayments
+ * Walks approved bookings with outstanding payment links, asks each provider for the real
+ * state and fixes the booking's payment fields where they disagree. Saves and returns a
+ * ReconciliationReport listing every discrepancy found. A link paid for a different amount than
+ * its installment is reported for an admin instead of being fixed.
+ * Fixed payments get the same follow-up as a webhook (confirmation, receipt / invoice, reminders).
+ * `getProvider` and `afterPayment` let callers (tests, scripts) swap in stubs.
+ */
+export async function reconcilePayments({
+  trigger = "schedule",
+  triggeredBy,
+  io,
+  getProvider = getPaymentProvider,
+  afterPayment = afterPaymentEvent,
+} = {}) {
+  const report = new ReconciliationReport({ trigger, triggeredBy, startedAt: new Date() });
+
+  const bookings = await Booking.find({
+    status: "approved",
+    installments: { $elemMatch: { status: { $in: OUTSTANDING }, paymentLinkId: { $exists: true } } },
+  });
+
+  for (const booking of bookings) {
+    report.bookingsChecked += 1;
+
+    for (const installment of booking.installments) {
+      if (!OUTSTANDING.includes(installment.status) || !installment.paymentLinkId) continue;
+      report.installmentsChecked += 1;
+
+      const providerName = installment.provider || booking.paymentProvider;
+      const entry = {
+        booking: booking._id,
+        installmentId: installment._id,
+        provider: providerName,
+        paymentLinkId: installment.paymentLinkId,
+        localStatus: installment.status,
+      };
+
+      try {
+        const remote = await getProvider(providerName).fetchPaymentLink(installment.paymentLinkId);
+        entry.providerStatus = remote.status;
+
+        const inSync =
+          remote.status === "pending" ||
+          (remote.status === "expired" && installment.status === "expired");
+        if (inSync) continue;
+
+        const type = EVENT_FOR_STATUS[remote.status];
+        if (!type) {
+          // e.g. a link cancelled from the provider dashboard — left for an admin to look at
+          entry.action = "reported";
+          report.discrepancies.push(entry);
+          continue;
+        }
+        if (type === "paid" && remote.amountPaid !== installment.amount) {
+          entry.action = "reported";
+          entry.amountExpected = installment.amount;
+          entry.amountPaid = remote.amountPaid;
+          entry.error = "Amount paid doesn't match the installment";
+          report.discrepancies.push(entry);
+          continue;
+        }
+
+        const result = await applyPaymentEvent({
+          type,
+          bookingId: booking._id,
+          installmentId: installment._id,
+          paymentLinkId: installment.paymentLinkId,
+          paymentId: remote.paymentId,
+          amount: remote.amountPaid,
+        });
+        if (result) await afterPayment(result, { io, event: "reconciliation" });
+        entry.action = "fixed";
+      } catch (err) {
+        entry.action = "error";
+        entry.error = err?.error?.description || err.message;
+      }
+      report.discrepancies.push(entry);
+    }
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+  return report;
+}
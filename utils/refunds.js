@@ -0,0 +1,58 @@
+const NON_REFUNDABLE_TERM = /(\d+(?:\.\d+)?)\s*%[^%]*non-refundable/i;
+
+/**
+ * Non-refundable percentage for a package (or package snapshot).
+ * Uses `nonRefundablePercent` when set, otherwise reads it from the terms
+ * (e.g. "25% of the booking amount is non-refundable"). Defaults to 0.
+ */
+export function getNonRefundablePercent(pkg) {
+  if (pkg?.nonRefundablePercent != null) return pkg.nonRefundablePercent;
+
+  for (const term of pkg?.terms || []) {
+    const match = NON_REFUNDABLE_TERM.exec(term);
+    if (match) return Number(match[1]);
+  }
+  return 0;
+}
+
+/**
+ * Work out what a cancellation refunds (all amounts in paise).
+ * The non-refundable part is a percentage of the booking amount; whatever was paid
+ * above it is refunded, spread over the paid installments (latest payment first).
+ * Allocations leave out anything already in booking.refunds.
+ * Returns { nonRefundablePercent, nonRefundableAmount, refundableAmount, allocations: [{ installmentId, provider, paymentId, amount }] }
+ */
+export function computeRefund(booking, pkg = booking.packageSnapshot) {
+  const nonRefundablePercent = getNonRefundablePercent(pkg);
+  const nonRefundableAmount = Math.round(((booking.amount || 0) * nonRefundablePercent) / 100);
+  const refundableAmount = Math.max(0, (booking.amountPaid || 0) - nonRefundableAmount);
+
+  // Refunds already issued (e.g. a retried cancellation) are not refunded twice
+  const refundedByPayment = {};
+  (booking.refunds || []).forEach((r) => {
+    refundedByPayment[r.paymentId] = (refundedByPayment[r.paymentId] || 0) + r.amount;
+  });
+  const alreadyRefunded = Object.values(refundedByPayment).reduce((sum, a) => sum + a, 0);
+
+  const paid = (booking.installments || [])
+    .filter((i) => i.status === "paid" && i.paymentId)
+    .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
+  const allocations = [];
+  let remaining = refundableAmount - alreadyRefunded;
+  for (const installment of paid) {
+    if (remaining <= 0) break;
+    const available = installment.amount - (refundedByPayment[installment.paymentId] || 0);
+    const amount = Math.min(remaining, available);
+    if (amount <= 0) continue;
+    allocations.push({
+      installmentId: installment._id,
+      provider: installment.provider || booking.paymentProvider,
+      paymentId: installment.paymentId,
+      amount,
+    });
+    remaining -= amount;
+  }
+
+  return { nonRefundablePercent, nonRefundableAmount, refundableAmount, allocations };
+}
@@ -0,0 +1,292 @@
+import Booking from "../models/booking.js";
+import JobSchedule, { JOB_KINDS } from "../models/jobSchedule.js";
+import ScheduledJob from "../models/scheduledJob.js";
+import { normalizeDateString, localDateTime } from "./availability.js";
+import { saveWithNotifications } from "./notifications/outbox.js";
+import { customerNotifications } from "./messaging/preferences.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const RUN_TIMEOUT_MINUTES = 5;
+const RETRY_MINUTES = 15;
+
+export { JOB_KINDS };
+
+/**
+ * Schedules used until an admin changes them (PUT /api/admin/schedules/:kind):
+ *  - balanceReminder: days before a pending balance installment is due
+ *  - eventReminder: days before the event (1 = the eve), with timings and inclusions
+ *  - thankYou: days after the event, thanking the customer and asking for feedback
+ */
+export const DEFAULT_SCHEDULES = {
+  balanceReminder: { enabled: true, days: [3, 1], sendAt: "10:00" },
+  eventReminder: { enabled: true, days: [1], sendAt: "18:00" },
+  thankYou: { enabled: true, days: [1], sendAt: "11:00" },
+};
+
+/**
+ * Job settings, overridable with env:
+ *  - JOB_MAX_ATTEMPTS (3): runs tried before a job is marked failed
+ * "sendAt" times are in the hall's local time (UTC_OFFSET_MINUTES, see utils/availability.js).
+ */
+export function jobSettings() {
+  return {
+    maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 3,
+  };
+}
+
+// Feedback link in the thank-you message: FEEDBACK_URL (e.g. a review page) or the site's feedback page
+function feedbackUrl(booking) {
+  const url = new URL(process.env.FEEDBACK_URL || `${process.env.FRONTEND_URL}/feedback`);
+  url.searchParams.set("bookingId", String(booking._id));
+  return url.toString();
+}
+
+const eventHasPassed = (booking, now) => normalizeDateString(booking.date) < normalizeDateString(now);
+
+// Whole local days from `from` to `to` (0 on the same day)
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(normalizeDateString(to)) - Date.parse(normalizeDateString(from))) / (24 * 60 * 60 * 1000));
+
+/**
+ * What each kind of job is planned from and what it does when it runs:
+ *  - statuses: booking statuses the job applies to (planned and run only then)
+ *  - direction: -1 = `days` before the target day, 1 = after
+ *  - targets(booking): the days (and installments) jobs are planned for
+ *  - run(booking, job, now): { notifications } to queue, or { skip: reason }
+ */
+const JOBS = {
+  balanceReminder: {
+    statuses: ["approved"],
+    direction: -1,
+    targets: (booking) =>
+      booking.installments
+        .filter((i) => i.kind === "balance" && i.status === "pending")
+        .map((i) => ({ day: i.dueDate, installment: i._id })),
+    run: async (booking, job, now) => {
+      const installment = booking.installments.id(job.installment);
+      if (!installment || installment.status !== "pending") return { skip: "Balance no longer pending" };
+      if (eventHasPassed(booking, now)) return { skip: "Event has passed" };
+      return { notifications: await customerNotifications("paymentReminder", booking, { booking, installment }) };
+    },
+  },
+
+  eventReminder: {
+    statuses: ["approved"],
+    direction: -1,
+    targets: (booking) => [{ day: booking.date }],
+    run: async (booking, job, now) => {
+      if (eventHasPassed(booking, now)) return { skip: "Event has passed" };
+      // Counted when the job runs, so a reminder sent late still says the right day
+      const daysLeft = daysBetween(now, booking.date);
+      return { notifications: await customerNotifications("eventReminder", booking, { booking, daysLeft }) };
+    },
+  },
+
+  thankYou: {
+    statuses: ["approved", "completed"],
+    direction: 1,
+    targets: (booking) => [{ day: booking.date }],
+    run: async (booking) => ({
+      notifications: await customerNotifications("thankYou", booking, { booking, feedbackUrl: feedbackUrl(booking) }),
+    }),
+  },
+};
+
+/**
+ * The schedule of every job kind: admin settings over DEFAULT_SCHEDULES.
+ * Returns { [kind]: { kind, enabled, days, sendAt, updatedAt?, updatedBy? } }.
+ */
+export async function getSchedules() {
+  const saved = await JobSchedule.find();
+  return Object.fromEntries(
+    JOB_KINDS.map((kind) => {
+      const defaults = DEFAULT_SCHEDULES[kind];
+      const doc = saved.find((s) => s.kind === kind);
+      return [
+        kind,
+        {
+          kind,
+          enabled: doc?.enabled ?? defaults.enabled,
+          days: doc?.days?.length ? [...doc.days] : defaults.days,
+          sendAt: doc?.sendAt || defaults.sendAt,
+          updatedAt: doc?.updatedAt,
+          updatedBy: doc?.updatedBy,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * When a job `offsetDays` from `day` (negative = before) runs, at the local "HH:mm" `sendAt`.
+ */
+export function runAtFor(day, offsetDays, sendAt) {
+  return localDateTime(normalizeDateString(day), sendAt, offsetDays);
+}
+
+// Helper: every job the booking should have under `schedules` (past ones included)
+function planJobs(booking, schedules) {
+  const planned = [];
+  for (const kind of JOB_KINDS) {
+    const job = JOBS[kind];
+    const schedule = schedules[kind];
+    if (!schedule.enabled || !job.statuses.includes(booking.status)) continue;
+
+    for (const { day, installment } of job.targets(booking)) {
+      for (const days of schedule.days) {
+        planned.push({
+          kind,
+          key: [kind, booking._id, installment || "", normalizeDateString(day), days].join("|"),
+          booking: booking._id,
+          installment,
+          days,
+          runAt: runAtFor(day, job.direction * days, schedule.sendAt),
+        });
+      }
+    }
+  }
+  return planned;
+}
+
+/**
+ * Helper: syncBookingJobs
+ * Brings a booking's scheduled jobs in line with its current state and the schedules:
+ * plans missing future jobs, moves ones whose time changed, and cancels ones that no longer
+ * apply (booking cancelled, balance paid, date moved, kind disabled). Jobs that already ran are left alone.
+ * Call after anything that changes a booking's status, date or installments.
+ */
+export async function syncBookingJobs(booking, { now = new Date(), schedules } = {}) {
+  const result = { planned: 0, moved: 0, cancelled: 0 };
+  const planned = planJobs(booking, schedules || (await getSchedules()));
+  const existing = await ScheduledJob.find({ booking: booking._id });
+
+  for (const job of planned) {
+    const current = existing.find((j) => j.key === job.key);
+    if (!current) {
+      if (job.runAt <= now) continue; // too late for this one
+      try {
+        await ScheduledJob.create(job);
+        result.planned += 1;
+      } catch (err) {
+        if (err.code !== 11000) throw err; // planned concurrently
+      }
+    } else if (
+      ["scheduled", "cancelled"].includes(current.status) &&
+      (current.status === "cancelled" ? job.runAt > now : current.runAt.getTime() !== job.runAt.getTime())
+    ) {
+      current.status = "scheduled";
+      current.runAt = job.runAt;
+      current.result = undefined;
+      current.finishedAt = undefined;
+      await current.save();
+      result.moved += 1;
+    }
+  }
+
+  const plannedKeys = new Set(planned.map((j) => j.key));
+  const stale = existing.filter((j) => j.status === "scheduled" && !plannedKeys.has(j.key));
+  if (stale.length > 0) {
+    const { modifiedCount } = await ScheduledJob.updateMany(
+      { _id: { $in: stale.map((j) => j._id) }, status: "scheduled" },
+      { status: "cancelled", result: "No longer applies", finishedAt: now }
+    );
+    result.cancelled = modifiedCount;
+  }
+
+  return result;
+}
+
+/**
+ * Helper: syncAllJobs
+ * Re-plans the jobs of every upcoming booking (and recently completed ones awaiting a thank-you).
+ * Runs at startup and after an admin changes a schedule. Returns the summed counts.
+ */
+export async function syncAllJobs({ now = new Date() } = {}) {
+  const schedules = await getSchedules();
+  const totals = { bookings: 0, planned: 0, moved: 0, cancelled: 0 };
+  const longestDelay = Math.max(...schedules.thankYou.days, 0) + 1;
+
+  const bookings = Booking.find({
+    $or: [
+      { status: "approved" },
+      { status: "completed", date: { $gte: new Date(now.getTime() - longestDelay * DAY_MS) } },
+      // cancelled / rejected / expired bookings whose jobs are still waiting to run
+      { _id: { $in: await ScheduledJob.distinct("booking", { status: "scheduled" }) } },
+    ],
+  }).cursor();
+
+  for await (const booking of bookings) {
+    const result = await syncBookingJobs(booking, { now, schedules });
+    totals.bookings += 1;
+    totals.planned += result.planned;
+    totals.moved += result.moved;
+    totals.cancelled += result.cancelled;
+  }
+  return totals;
+}
+
+let running = false;
+
+/**
+ * Helper: runDueJobs
+ * Runs due jobs one at a time. A job's notifications are queued in the outbox in the same
+ * transaction that marks it done, so a restart never sends one twice. Errors are retried
+ * every RETRY_MINUTES until JOB_MAX_ATTEMPTS, then the job is marked "failed".
+ * Returns { done, skipped, failed } counts.
+ */
+export async function runDueJobs({ now = new Date(), limit = 50 } = {}) {
+  const result = { done: 0, skipped: 0, failed: 0 };
+  if (running) return result; // one runner per process
+  running = true;
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      // Claim the next due job (or one whose runner crashed)
+      const job = await ScheduledJob.findOneAndUpdate(
+        {
+          $or: [
+            { status: "scheduled", runAt: { $lte: now } },
+            { status: "running", lockedUntil: { $lte: now } },
+          ],
+        },
+        { status: "running", lockedUntil: new Date(Date.now() + RUN_TIMEOUT_MINUTES * MINUTE_MS), $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      job.lockedUntil = undefined;
+      try {
+        const booking = await Booking.findById(job.booking).populate("slot").populate("package");
+        const outcome = !booking
+          ? { skip: "Booking not found" }
+          : !JOBS[job.kind].statuses.includes(booking.status)
+          ? { skip: `Booking ${booking.status}` }
+          : await JOBS[job.kind].run(booking, job, now);
+
+        job.status = outcome.skip ? "skipped" : "done";
+        job.result = outcome.skip;
+        job.lastError = undefined;
+        job.finishedAt = new Date();
+        await saveWithNotifications(job, outcome.notifications || []);
+        result[outcome.skip ? "skipped" : "done"] += 1;
+      } catch (err) {
+        job.lastError = err.message;
+        if (job.attempts >= jobSettings().maxAttempts) {
+          job.status = "failed";
+          job.finishedAt = new Date();
+          result.failed += 1;
+          console.error(`⏰ Job ${job._id} (${job.kind}) failed: ${err.message}`);
+        } else {
+          job.status = "scheduled";
+          job.runAt = new Date(Date.now() + RETRY_MINUTES * job.attempts * MINUTE_MS);
+        }
+        await job.save();
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return result;
+}
@@ -0,0 +1,299 @@
+import Booking from "../../models/booking.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  normalizeDateString,
+  dayRange,
+  localDateTime,
+  buildSlotKey,
+  resolveSlot,
+  findSlotConflict,
+} from "../availability.js";
+import { findPackage, computeQuote, buildPackageSnapshot, QuoteError } from "../pricing.js";
+import { emailMatcher } from "../customerAuth.js";
+import { localTimestamp, inTransaction } from "./index.js";
+
+/**
+ * Booking sheets. Amounts are in rupees, event dates "YYYY-MM-DD" and timestamps in the hall's local time.
+ * The import columns reuse the export headers, so an exported sheet can be edited and imported elsewhere.
+ */
+export const BOOKING_COLUMNS = [
+  { key: "id", header: "Booking ID", width: 26 },
+  { key: "bookedOn", header: "Booked on", width: 17 },
+  { key: "date", header: "Event date" },
+  { key: "slot", header: "Slot" },
+  { key: "time", header: "Time" },
+  { key: "name", header: "Customer", width: 24 },
+  { key: "email", header: "Email", width: 28 },
+  { key: "phone", header: "Phone", width: 16 },
+  { key: "package", header: "Package", width: 30 },
+  { key: "category", header: "Category" },
+  { key: "guests", header: "Guests" },
+  { key: "status", header: "Status" },
+  { key: "paymentStatus", header: "Payment status", width: 16 },
+  { key: "amount", header: "Amount (₹)" },
+  { key: "amountPaid", header: "Paid (₹)" },
+  { key: "outstanding", header: "Outstanding (₹)", width: 16 },
+  { key: "refunded", header: "Refunded (₹)" },
+  { key: "paymentProvider", header: "Payment provider", width: 17 },
+  { key: "paymentId", header: "Payment ID", width: 24 },
+  { key: "approvedAt", header: "Approved on", width: 17 },
+  { key: "paidAt", header: "Paid on", width: 17 },
+  { key: "cancelledAt", header: "Cancelled on", width: 17 },
+  { key: "specialRequests", header: "Special requests", width: 40 },
+  { key: "locale", header: "Language" },
+];
+
+const importColumn = (key, extra = {}) => ({ ...BOOKING_COLUMNS.find((c) => c.key === key), ...extra });
+
+export const BOOKING_IMPORT_COLUMNS = [
+  importColumn("date", { required: true, aliases: ["date"] }),
+  importColumn("slot"),
+  importColumn("time"),
+  importColumn("name", { required: true, aliases: ["name"] }),
+  importColumn("email", { required: true }),
+  importColumn("phone", { required: true }),
+  importColumn("package", { required: true }),
+  importColumn("guests", { required: true }),
+  importColumn("status"),
+  importColumn("amount"),
+  importColumn("amountPaid", { aliases: ["paid"] }),
+  importColumn("paidAt"),
+  importColumn("paymentId"),
+  importColumn("bookedOn"),
+  importColumn("specialRequests", { aliases: ["notes"] }),
+  importColumn("locale"),
+];
+
+// Imported bookings are already agreed: upcoming ones are approved, past ones completed
+const IMPORT_STATUSES = ["approved", "completed", "cancelled"];
+const LOCALES = Booking.schema.path("locale").enumValues;
+
+const toRupees = (paise) => (paise == null ? null : Math.round(paise) / 100);
+
+/**
+ * Export rows for bookings (expects `slot` populated).
+ */
+export function bookingRows(bookings) {
+  return bookings.map((b) => {
+    const refunded = (b.refunds || []).reduce((sum, r) => sum + (r.amount || 0), 0);
+    return {
+      id: String(b._id),
+      bookedOn: localTimestamp(b.createdAt),
+      date: normalizeDateString(b.date),
+      slot: b.slot?.name || (b.slot ? "" : "Whole day"),
+      time: b.time,
+      name: b.name,
+      email: b.email,
+      phone: b.phone,
+      package: b.packageSnapshot?.name,
+      category: b.packageSnapshot?.category,
+      guests: b.guests,
+      status: b.status,
+      paymentStatus: b.paymentStatus,
+      amount: toRupees(b.amount),
+      amountPaid: toRupees(b.amountPaid),
+      outstanding: toRupees(Math.max((b.amount || 0) - (b.amountPaid || 0), 0)),
+      refunded: toRupees(refunded),
+      paymentProvider: b.paymentProvider,
+      paymentId: b.paymentId,
+      approvedAt: localTimestamp(b.approvedAt),
+      paidAt: localTimestamp(b.paidAt),
+      cancelledAt: localTimestamp(b.cancelledAt),
+      specialRequests: b.specialRequests,
+      locale: b.locale,
+    };
+  });
+}
+
+// Helper: "2024-03-15", "2024-03-15 10:30" or the register's "15/03/2024" (day first) → "YYYY-MM-DD"
+function parseDay(text) {
+  if (!text) return null;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[ T].*)?$/.exec(text);
+  const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+  if (!year) return null;
+
+  const normalized = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const check = new Date(`${normalized}T00:00:00.000Z`);
+  return !Number.isNaN(check.getTime()) && check.toISOString().startsWith(normalized) ? normalized : null;
+}
+
+// Helper: a rupee amount ("₹1,20,000.50") → paise, or NaN
+const parsePaise = (text) => Math.round(Number(String(text).replace(/[,\s₹]/g, "")) * 100);
+
+// Helper: lookups by the same cell text are made once per import
+function cached(lookup) {
+  const results = new Map();
+  return async (value) => {
+    const key = String(value).toLowerCase();
+    if (!results.has(key)) results.set(key, await lookup(value));
+    return results.get(key);
+  };
+}
+
+/**
+ * Helper: importBookings
+ * Validates booking rows (e.g. from a paper register) and, unless `dryRun`, inserts them all in one transaction.
+ * Each row is checked for:
+ *  - bad or missing values, unknown packages and slots, amounts that don't add up
+ *  - duplicates: the same customer email, date and time as an earlier row or a confirmed booking
+ *  - date conflicts: the same date and slot (or the whole day) as an earlier row or a confirmed booking
+ * Status defaults to "completed" for past dates and "approved" otherwise; amount defaults to the
+ * package's quote. No customer notifications are sent for imported bookings.
+ * Returns { report, saved }:
+ *  - report: { dryRun, committed, total, valid, invalid, created (or would be), rows: [{ row, name, date, errors }] }
+ *  - saved: the inserted bookings (empty on a dry run or when any row has errors)
+ */
+export async function importBookings(rows, { dryRun = true, now = new Date() } = {}) {
+  const report = { dryRun, committed: false, total: rows.length, valid: 0, invalid: 0, created: 0, rows: [] };
+  const today = normalizeDateString(now);
+  const slotFor = cached(resolveSlot);
+  const packageFor = cached(findPackage);
+  const seenBookings = new Map(); // "email|date|time" → row
+  const takenDays = new Map(); // date → { wholeDay: row, slots: Map(slotId → row) }
+  const docs = [];
+
+  for (const { row, values } of rows) {
+    const errors = [];
+
+    const date = parseDay(values.date);
+    if (!date) errors.push("Event date must be YYYY-MM-DD or DD/MM/YYYY");
+
+    const slotName = /^(whole|full) day$/i.test(values.slot) ? "" : values.slot;
+    const slot = slotName ? await slotFor(slotName) : null;
+    if (slotName && !slot) errors.push(`Unknown slot "${slotName}"`);
+
+    const pkg = values.package ? await packageFor(values.package) : null;
+    if (!pkg) errors.push(values.package ? `Unknown package "${values.package}"` : "Package is required");
+
+    const guests = Number(values.guests);
+    if (!Number.isInteger(guests) || guests < 1) errors.push("Guests must be a whole number of at least 1");
+
+    const status = values.status ? values.status.toLowerCase() : date && date < today ? "completed" : "approved";
+    if (!IMPORT_STATUSES.includes(status)) errors.push(`Status must be one of: ${IMPORT_STATUSES.join(", ")}`);
+    if (status === "completed" && date && date >= today) errors.push("Completed bookings must have a past event date");
+
+    const locale = values.locale ? values.locale.toLowerCase() : "en";
+    if (!LOCALES.includes(locale)) errors.push(`Language must be one of: ${LOCALES.join(", ")}`);
+
+    const bookedOn = values.bookedOn ? parseDay(values.bookedOn) : null;
+    if (values.bookedOn && !bookedOn) errors.push("Booked on must be a date");
+
+    // Amount as written in the register, else the package's price
+    let quote = null;
+    let amount = values.amount ? parsePaise(values.amount) : null;
+    if (values.amount && !(amount >= 0)) errors.push("Amount must be a number");
+    if (pkg && Number.isInteger(guests) && guests >= 1) {
+      try {
+        quote = computeQuote({ pkg, guests, date, slot });
+      } catch (err) {
+        if (!(err instanceof QuoteError)) throw err;
+        if (!values.amount) errors.push(`Amount is required (${err.message})`);
+      }
+      if (amount == null && quote) {
+        if (quote.total == null) errors.push("Amount is required for a custom-priced package");
+        else amount = Math.round(quote.total * 100);
+      }
+    }
+
+    const amountPaid = values.amountPaid ? parsePaise(values.amountPaid) : 0;
+    if (!(amountPaid >= 0)) errors.push("Paid must be a number");
+    else if (amount >= 0 && amountPaid > amount) errors.push("Paid is more than the amount");
+
+    const paidAt = values.paidAt ? parseDay(values.paidAt) : null;
+    if (values.paidAt && !paidAt) errors.push("Paid on must be a date");
+
+    const time = values.time || (slot ? `${slot.startTime}-${slot.endTime}` : "Whole day");
+
+    // Duplicates: the same email + date + time as a booking that wasn't rejected, cancelled or expired
+    if (date && values.email) {
+      const key = `${values.email.toLowerCase()}|${date}|${time}`;
+      const { start, end } = dayRange(date);
+      const existing = await Booking.findOne({
+        email: emailMatcher(values.email),
+        date: { $gte: start, $lte: end },
+        time,
+        status: { $in: [...ACTIVE_BOOKING_STATUSES, "completed"] },
+      });
+      if (seenBookings.has(key)) errors.push(`Duplicate of row ${seenBookings.get(key)}`);
+      else if (existing) errors.push(`Duplicate of existing booking ${existing._id}`);
+      else seenBookings.set(key, row);
+    }
+
+    // Date conflicts with earlier rows and with bookings that hold (or held) the date
+    if (date && status !== "cancelled" && (!slotName || slot)) {
+      const day = takenDays.get(date) || { wholeDay: null, slots: new Map() };
+      const clashRow = day.wholeDay || (slot ? day.slots.get(String(slot._id)) : day.slots.values().next().value);
+      const clash = await findSlotConflict({
+        date,
+        slotId: slot?._id,
+        statuses: [...ACTIVE_BOOKING_STATUSES, "completed"],
+      });
+      if (clashRow) errors.push(`Date conflict with row ${clashRow}`);
+      else if (clash) errors.push(`Date conflict with booking ${clash._id} (${clash.name}, ${clash.status})`);
+      else {
+        if (slot) day.slots.set(String(slot._id), row);
+        else day.wholeDay = row;
+        takenDays.set(date, day);
+      }
+    }
+
+    let booking = null;
+    if (errors.length === 0) {
+      const createdAt = bookedOn ? localDateTime(bookedOn, "00:00") : now;
+      const paymentStatus = amountPaid === 0 ? "unpaid" : amountPaid >= amount ? "paid" : "partially_paid";
+      booking = new Booking({
+        name: values.name,
+        email: values.email,
+        phone: values.phone,
+        locale,
+        package: pkg._id,
+        packageSnapshot: buildPackageSnapshot(pkg, quote?.tier),
+        quote: quote
+          ? {
+              total: quote.total,
+              tier: quote.tier,
+              items: quote.items,
+              manualPricingRequired: quote.manualPricingRequired,
+              computedAt: now,
+            }
+          : undefined,
+        guests,
+        date,
+        time,
+        slot: slot?._id,
+        // Only upcoming bookings hold their slot
+        slotKey: status === "approved" ? buildSlotKey(date, slot?._id) : undefined,
+        specialRequests: values.specialRequests || undefined,
+        status,
+        amount,
+        amountPaid,
+        paymentStatus,
+        isPaid: paymentStatus === "paid",
+        paymentId: values.paymentId || undefined,
+        paidAt: amountPaid > 0 ? localDateTime(paidAt || date, "00:00") : undefined,
+        createdAt,
+        approvedAt: status !== "cancelled" ? createdAt : undefined,
+        completedAt: status === "completed" ? now : undefined,
+        cancelledAt: status === "cancelled" ? now : undefined,
+      });
+      const validation = booking.validateSync();
+      if (validation) errors.push(...Object.values(validation.errors).map((e) => e.message));
+    }
+
+    report.rows.push({ row, name: values.name, date: date || values.date, errors });
+    if (errors.length) {
+      report.invalid += 1;
+    } else {
+      report.valid += 1;
+      report.created += 1;
+      docs.push(booking);
+    }
+  }
+
+  if (dryRun || report.invalid > 0) return { report, saved: [] };
+
+  await inTransaction((session) => Booking.insertMany(docs, { session }));
+  report.committed = true;
+  return { report, saved: docs };
+}
@@ -0,0 +1,220 @@
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import { utcOffsetMinutes } from "../availability.js";
+import { isTransactionsUnsupported } from "../notifications/outbox.js";
+
+/**
+ * CSV / XLSX reading and writing for the admin export and import endpoints.
+ * A sheet is described by its columns: [{ key, header, aliases?, required?, width? }].
+ * Rows are plain objects keyed by column key.
+ */
+
+export class SpreadsheetError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SpreadsheetError";
+    this.status = status;
+  }
+}
+
+export const SPREADSHEET_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+/**
+ * Import limits, overridable with env:
+ *  - IMPORT_MAX_ROWS (5000): rows read from one file
+ *  - IMPORT_MAX_FILE_MB (5): upload size
+ */
+export function importSettings() {
+  return {
+    maxRows: Number(process.env.IMPORT_MAX_ROWS) || 5000,
+    maxFileBytes: (Number(process.env.IMPORT_MAX_FILE_MB) || 5) * 1024 * 1024,
+  };
+}
+
+// Lists (included items, terms...) share one cell, separated by semicolons
+export const joinList = (values) => (values || []).join("; ");
+export const splitList = (text) =>
+  String(text ?? "")
+    .split(/\s*;\s*|\r?\n/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Helper: a timestamp as "YYYY-MM-DD HH:mm" in the hall's local time
+export function localTimestamp(date) {
+  if (!date) return "";
+  const local = new Date(new Date(date).getTime() + utcOffsetMinutes() * 60 * 1000);
+  return local.toISOString().slice(0, 16).replace("T", " ");
+}
+
+// Download name: "bookings-2026-10-18.xlsx"
+export function spreadsheetFilename(name, format, now = new Date()) {
+  return `${name}-${localTimestamp(now).slice(0, 10)}.${SPREADSHEET_FORMATS[format].extension}`;
+}
+
+// ---------- Writing ----------
+
+// Text starting with = + - @ would run as a formula when opened in a spreadsheet app (phone numbers are fine)
+const isFormula = (text) => /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+const safeText = (value) => (typeof value === "string" && isFormula(value) ? `'${value}` : value);
+
+function csvCell(value) {
+  const text = value == null ? "" : String(safeText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper: writeSpreadsheet
+ * Renders rows as a CSV (UTF-8 with BOM, so Excel shows ₹ and Hindi names) or an XLSX workbook.
+ * Resolves to a Buffer.
+ */
+export async function writeSpreadsheet(format, { sheetName, columns, rows }) {
+  if (format === "csv") {
+    const lines = [columns.map((c) => csvCell(c.header)), ...rows.map((row) => columns.map((c) => csvCell(row[c.key])))];
+    return Buffer.from(`\uFEFF${lines.map((cells) => cells.join(",")).join("\r\n")}\r\n`);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width: width || Math.max(12, header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map((c) => [c.key, row[c.key] == null ? null : safeText(row[c.key])])));
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ---------- Reading ----------
+
+// Helper: RFC 4180 CSV → rows of cells (quoted fields may hold commas, quotes and line breaks)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new SpreadsheetError("CSV has an unclosed quote");
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Helper: an XLSX cell's value as text (dates as "YYYY-MM-DD" or "YYYY-MM-DD HH:mm")
+function xlsxCellText(value) {
+  if (value == null) return "";
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso.slice(0, 16).replace("T", " ");
+  }
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if ("result" in value) return xlsxCellText(value.result); // formula
+    if ("text" in value) return xlsxCellText(value.text); // hyperlink
+    if (value.error) return "";
+  }
+  return String(value);
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new SpreadsheetError("Could not read the Excel file");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, number) => {
+    const cells = [];
+    for (let i = 1; i <= sheet.columnCount; i++) cells.push(xlsxCellText(row.getCell(i).value));
+    rows[number - 1] = cells;
+  });
+  return Array.from(rows, (cells) => cells || []);
+}
+
+// "Event date" / "event_date" / "eventDate" all match
+const headerKey = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Helper: readSpreadsheet
+ * Reads an uploaded CSV or XLSX (the first sheet) whose first row names the columns.
+ * Headers match a column's header, key or aliases; unknown columns are ignored.
+ * Returns [{ row (line number in the file), values: { [key]: trimmed text } }], skipping blank rows.
+ * Throws SpreadsheetError for an unreadable file, missing required columns or too many rows.
+ */
+export async function readSpreadsheet(file, columns) {
+  if (!file?.buffer) throw new SpreadsheetError("No file uploaded");
+  const format = /\.xlsx$/i.test(file.originalname || "") || file.mimetype === SPREADSHEET_FORMATS.xlsx.contentType ? "xlsx" : "csv";
+  const cells =
+    format === "xlsx" ? await readXlsx(file.buffer) : parseCsv(file.buffer.toString("utf8").replace(/^\uFEFF/, ""));
+
+  const [headers = [], ...body] = cells;
+  const byHeader = new Map();
+  for (const column of columns) {
+    for (const name of [column.header, column.key, ...(column.aliases || [])]) byHeader.set(headerKey(name), column.key);
+  }
+  const keys = headers.map((h) => byHeader.get(headerKey(h)));
+
+  const missing = columns.filter((c) => c.required && !keys.includes(c.key)).map((c) => c.header);
+  if (missing.length) throw new SpreadsheetError(`Missing columns: ${missing.join(", ")}`);
+
+  const rows = [];
+  body.forEach((cellsOfRow, index) => {
+    const values = {};
+    keys.forEach((key, i) => {
+      // (undoing the quote exports put before formula-like text)
+      if (key && values[key] == null) values[key] = String(cellsOfRow[i] ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ row: index + 2, values });
+  });
+
+  if (rows.length === 0) throw new SpreadsheetError("The file has no rows to import");
+  const { maxRows } = importSettings();
+  if (rows.length > maxRows) throw new SpreadsheetError(`Too many rows (${rows.length}); import at most ${maxRows} at a time`);
+  return rows;
+}
+
+/**
+ * Runs `write(session)` in a transaction so an import lands in one step.
+ * Standalone MongoDB servers have no transactions; there it runs without one.
+ */
+export async function inTransaction(write) {
+  try {
+    return await mongoose.connection.transaction((session) => write(session));
+  } catch (err) {
+    if (!isTransactionsUnsupported(err)) throw err;
+    return write(undefined);
+  }
+}
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import Package from "../../models/package.js";
+import { auditSnapshot } from "../audit.js";
+import { joinList, splitList, inTransaction } from "./index.js";
+
+/**
+ * Package sheet. Lists share a cell separated by semicolons; per-person tiers are
+ * "guests:price" pairs, e.g. "100:450; 200:420". Prices are in rupees.
+ */
+export const PACKAGE_COLUMNS = [
+  { key: "id", header: "Package ID", width: 26 },
+  { key: "name", header: "Name", required: true, width: 30 },
+  { key: "category", header: "Category", required: true },
+  { key: "description", header: "Description", width: 40 },
+  { key: "pricingType", header: "Pricing type", aliases: ["pricing"] },
+  { key: "fixedPrice", header: "Fixed price" },
+  { key: "perPersonPricing", header: "Per-person pricing", aliases: ["tiers"], width: 24 },
+  { key: "included", header: "Included", width: 40 },
+  { key: "excluded", header: "Excluded", width: 40 },
+  { key: "welcomeSweets", header: "Welcome sweets", width: 30 },
+  { key: "starters", header: "Starters", width: 30 },
+  { key: "mainCourse", header: "Main course", width: 30 },
+  { key: "terms", header: "Terms", width: 40 },
+  { key: "nonRefundablePercent", header: "Non-refundable %" },
+  { key: "archived", header: "Archived" },
+];
+
+const LIST_FIELDS = { included: "included", excluded: "excluded", terms: "terms" };
+const MENU_FIELDS = ["welcomeSweets", "starters", "mainCourse"];
+const PRICING_TYPES = Package.schema.path("pricingType").enumValues;
+
+/**
+ * Export rows for packages.
+ */
+export function packageRows(packages) {
+  return packages.map((pkg) => ({
+    id: String(pkg._id),
+    name: pkg.name,
+    category: pkg.category,
+    description: pkg.description,
+    pricingType: pkg.pricingType,
+    fixedPrice: pkg.fixedPrice,
+    perPersonPricing: (pkg.perPersonPricing || []).map((t) => `${t.peopleCount}:${t.price}`).join("; "),
+    included: joinList(pkg.included),
+    excluded: joinList(pkg.excluded),
+    welcomeSweets: joinList(pkg.menu?.welcomeSweets),
+    starters: joinList(pkg.menu?.starters),
+    mainCourse: joinList(pkg.menu?.mainCourse),
+    terms: joinList(pkg.terms),
+    nonRefundablePercent: pkg.nonRefundablePercent,
+    archived: pkg.isArchived ? "yes" : "no",
+  }));
+}
+
+// Helper: "100:450; 200:420" → [{ peopleCount: 100, price: 450 }, ...], or null when malformed
+function parseTiers(text) {
+  const tiers = splitList(text).map((pair) => {
+    const [peopleCount, price] = pair.split(":").map((v) => Number(v.replace(/[,\s₹]/g, "")));
+    return { peopleCount, price };
+  });
+  const valid = tiers.every((t) => Number.isInteger(t.peopleCount) && t.peopleCount > 0 && Number.isFinite(t.price) && t.price >= 0);
+  return valid ? tiers : null;
+}
+
+const parseNumber = (text) => Number(String(text).replace(/[,\s₹]/g, ""));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Helper: importPackages
+ * Validates package rows and, unless `dryRun`, saves them all in one transaction.
+ * A row updates the package with its Package ID (or the same name), else creates one;
+ * blank cells leave an existing package's value unchanged. Packages are never deleted.
+ * Returns { report, saved }:
+ *  - report: { dryRun, committed, total, valid, invalid, created, updated (or would be), rows: [{ row, action, name, errors }] }
+ *  - saved: [{ doc, action, before }] for the audit log (empty on a dry run or when any row has errors)
+ */
+export async function importPackages(rows, { dryRun = true, adminId } = {}) {
+  const report = { dryRun, committed: false, total: rows.length, valid: 0, invalid: 0, created: 0, updated: 0, rows: [] };
+  const seenNames = new Map();
+  const docs = [];
+
+  for (const { row, values } of rows) {
+    const errors = [];
+    const name = values.name;
+
+    let pkg = null;
+    if (values.id) {
+      if (mongoose.isValidObjectId(values.id)) pkg = await Package.findById(values.id);
+      if (!pkg) errors.push(`Package ID ${values.id} not found`);
+    } else if (name) {
+      pkg = await Package.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, "i") });
+    }
+
+    const nameKey = name?.toLowerCase();
+    if (nameKey && seenNames.has(nameKey)) errors.push(`Duplicate of row ${seenNames.get(nameKey)} (same name)`);
+    else if (nameKey) seenNames.set(nameKey, row);
+
+    const before = pkg ? auditSnapshot(pkg) : null;
+    const doc = pkg || new Package({ createdBy: adminId });
+    const set = (field, value) => {
+      if (value !== undefined) doc.set(field, value);
+    };
+    const given = (key) => values[key] != null && values[key] !== "";
+
+    for (const key of ["name", "category", "description"]) if (given(key)) set(key, values[key]);
+
+    if (given("pricingType")) {
+      const pricingType = PRICING_TYPES.find((t) => t.toLowerCase() === values.pricingType.replace(/[\s-]/g, "").toLowerCase());
+      if (pricingType) set("pricingType", pricingType);
+      else errors.push(`Pricing type must be one of: ${PRICING_TYPES.join(", ")}`);
+    }
+    if (given("fixedPrice")) {
+      const price = parseNumber(values.fixedPrice);
+      if (Number.isFinite(price) && price >= 0) set("fixedPrice", price);
+      else errors.push("Fixed price must be a number");
+    }
+    if (given("perPersonPricing")) {
+      const tiers = parseTiers(values.perPersonPricing);
+      if (tiers) set("perPersonPricing", tiers);
+      else errors.push('Per-person pricing must look like "100:450; 200:420"');
+    }
+    for (const [key, field] of Object.entries(LIST_FIELDS)) if (given(key)) set(field, splitList(values[key]));
+    for (const key of MENU_FIELDS) if (given(key)) set(`menu.${key}`, splitList(values[key]));
+    if (given("nonRefundablePercent")) set("nonRefundablePercent", parseNumber(values.nonRefundablePercent));
+    if (given("archived")) {
+      const archived = /^(yes|y|true|1)$/i.test(values.archived);
+      if (archived && !doc.isArchived) set("archivedAt", new Date());
+      set("isArchived", archived);
+    }
+
+    // Quotes need a price for the pricing type
+    if (doc.pricingType === "fixed" && doc.fixedPrice == null) errors.push("Fixed price is required for fixed pricing");
+    if (doc.pricingType === "perPerson" && !doc.perPersonPricing?.length) {
+      errors.push("Per-person pricing is required for per-person packages");
+    }
+
+    const validation = doc.validateSync();
+    if (validation) errors.push(...Object.values(validation.errors).map((e) => e.message));
+
+    const action = pkg ? "update" : "create";
+    report.rows.push({ row, action, name: doc.name, errors });
+    if (errors.length) {
+      report.invalid += 1;
+    } else {
+      report.valid += 1;
+      report[action === "create" ? "created" : "updated"] += 1;
+      docs.push({ doc, action, before });
+    }
+  }
+
+  if (dryRun || report.invalid > 0) return { report, saved: [] };
+
+  await inTransaction(async (session) => {
+    for (const { doc } of docs) await doc.save({ session });
+  });
+  report.committed = true;
+  return { report, saved: docs };
+}
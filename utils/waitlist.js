@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import WaitlistEntry from "../models/waitlistEntry.js";
+import Slot from "../models/slot.js";
+import { normalizeDateString, dayRange, findSlotConflict } from "./availability.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hours a waitlisted customer has to claim a freed date (WAITLIST_OFFER_HOURS, default 24).
+ */
+export function offerHours() {
+  return Number(process.env.WAITLIST_OFFER_HOURS) || 24;
+}
+
+export function generateWaitlistToken() {
+  const token = crypto.randomBytes(24).toString("hex");
+  return { token, tokenHash: hashWaitlistToken(token) };
+}
+
+export function hashWaitlistToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Entry for a join or offer token (GET / DELETE /api/waitlist/:token take either).
+ */
+export function findEntryByToken(token) {
+  if (!token) return null;
+  const hash = hashWaitlistToken(token);
+  return WaitlistEntry.findOne({ $or: [{ tokenHash: hash }, { offerTokenHash: hash }] });
+}
+
+/**
+ * Entry whose current offer was sent with `token` — only that token claims the offered date.
+ */
+export function findEntryByOfferToken(token) {
+  if (!token) return null;
+  return WaitlistEntry.findOne({ offerTokenHash: hashWaitlistToken(token) });
+}
+
+/**
+ * Open offer on a date/slot, or null. While an offer runs, the date is kept for that customer.
+ */
+export function findActiveOffer({ date, slotId, now = new Date() }) {
+  const { start, end } = dayRange(normalizeDateString(date));
+  const query = {
+    date: { $gte: start, $lte: end },
+    status: "offered",
+    offerExpiresAt: { $gt: now },
+  };
+  // A whole-day booking clashes with an offer on any slot
+  if (slotId) query.$or = [{ offeredSlot: slotId }, { offeredSlot: null }];
+  return WaitlistEntry.findOne(query);
+}
+
+/**
+ * Helper: offerNextInLine
+ * Called when a booking on `date` (and `slotId`, if any) is rejected, cancelled or expires.
+ * Offers the freed date to the longest-waiting matching entry and returns
+ * { entry, token } for the caller to notify, or null if nobody is waiting.
+ */
+export async function offerNextInLine({ date, slotId, now = new Date() }) {
+  const normalized = normalizeDateString(date);
+  const { start, end } = dayRange(normalized);
+
+  // Slots that are actually free now (a whole-day booking frees every slot)
+  const candidateSlots = slotId ? [slotId] : (await Slot.find({ isActive: true })).map((s) => s._id);
+  if (candidateSlots.length === 0) candidateSlots.push(null);
+
+  for (const candidate of candidateSlots) {
+    if (await findSlotConflict({ date: normalized, slotId: candidate })) continue;
+    if (await findActiveOffer({ date: normalized, slotId: candidate, now })) continue;
+
+    const query = { date: { $gte: start, $lte: end }, status: "waiting" };
+    if (candidate) query.$or = [{ slot: candidate }, { slot: null }];
+
+    // Each offer gets its own token; the join token keeps working for viewing or leaving the waitlist
+    const { token, tokenHash: offerTokenHash } = generateWaitlistToken();
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      query,
+      {
+        status: "offered",
+        offeredSlot: candidate,
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + offerHours() * HOUR_MS),
+        offerTokenHash,
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (entry) return { entry, token };
+  }
+
+  return null;
+}
+
+/**
+ * Expire offers nobody claimed in time and pass each date on to the next person.
+ * Returns { expired: [entries], offers: [{ entry, token }] }.
+ */
+export async function expireWaitlistOffers({ now = new Date() } = {}) {
+  const expired = await WaitlistEntry.find({ status: "offered", offerExpiresAt: { $lte: now } });
+  const offers = [];
+
+  for (const entry of expired) {
+    entry.status = "expired";
+    await entry.save();
+
+    const next = await offerNextInLine({ date: entry.date, slotId: entry.offeredSlot, now });
+    if (next) offers.push(next);
+  }
+
+  return { expired, offers };
+}